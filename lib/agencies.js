@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { STATUSES, NOT_CLOSED_SQL } = require('./lifecycle');
+
+// Funding agencies. config/agencies.yaml (or AGENCIES_CONFIG) lists each
+// agency with its code, name, parent ministry, website, description and the
+// other spellings sources use for it. At startup the list is copied into the
+// agencies table (syncAgencies) and every proposal's agency string is matched
+// against it (assignAgencyCodes), setting proposals.agency_code. Strings like
+// "Multiple Agencies" are placeholders and match nothing.
+const DEFAULT_AGENCIES_FILE = path.join(__dirname, '..', 'config', 'agencies.yaml');
+
+const AGENCY_CODE = /^[A-Z0-9][A-Z0-9-]*$/;
+const RECENT_CALLS = 10;
+
+// Case, spacing and punctuation do not tell agencies apart:
+// "DST-TDB", "dst tdb" and "DST (TDB)" are the same string
+const normalize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const toAgency = (definition) => ({
+  code: definition.code,
+  name: definition.name,
+  parentMinistry: definition.parentMinistry || null,
+  website: definition.website || null,
+  description: definition.description || null,
+  aliases: definition.aliases || []
+});
+
+const validateAgencies = ({ agencies, placeholders = [] }) => {
+  const problems = [];
+  const owners = new Map();
+  const claim = (text, code) => {
+    const key = normalize(text);
+    const owner = owners.get(key);
+    if (owner && owner !== code) problems.push(`"${text}" names both ${owner} and ${code}`);
+    owners.set(key, code);
+  };
+
+  placeholders.forEach(text => claim(text, 'a placeholder'));
+  const codes = new Set();
+  agencies.forEach((agency, index) => {
+    const label = agency.code || `agency ${index + 1}`;
+    if (!AGENCY_CODE.test(agency.code || '')) problems.push(`${label}: code must be upper case letters, digits and "-"`);
+    if (codes.has(agency.code)) problems.push(`${label}: listed twice`);
+    if (!agency.name) problems.push(`${label}: name is required`);
+    if (!Array.isArray(agency.aliases)) {
+      problems.push(`${label}: aliases must be a list`);
+      return;
+    }
+    codes.add(agency.code);
+    [agency.code, agency.name, ...agency.aliases].filter(Boolean).forEach(text => claim(String(text), agency.code));
+  });
+  return problems;
+};
+
+// { agencies, placeholders } from the config file; all problems are reported
+// at once
+const loadAgencies = (file = process.env.AGENCIES_CONFIG || DEFAULT_AGENCIES_FILE) => {
+  const parsed = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+  const config = {
+    agencies: (parsed.agencies || []).map(toAgency),
+    placeholders: parsed.placeholders || []
+  };
+
+  const problems = validateAgencies(config);
+  if (problems.length > 0) {
+    const error = new Error(`Invalid agency configuration in ${file}:\n${problems.join('\n')}`);
+    error.code = 'INVALID_AGENCY_CONFIG';
+    throw error;
+  }
+  return config;
+};
+
+// resolve(text) -> the code of the agency `text` names, or null. An exact
+// code, name or alias wins; otherwise the string must mention exactly one
+// agency as whole words ("Department of Science and Technology, GoI" is DST,
+// "DST and DBT" is neither).
+const createAgencyMatcher = ({ agencies, placeholders = [] }) => {
+  const exact = new Map();
+  placeholders.forEach(text => exact.set(normalize(text), null));
+  const names = [];
+  for (const agency of agencies) {
+    for (const text of [agency.code, agency.name, ...agency.aliases]) {
+      const key = normalize(text);
+      exact.set(key, agency.code);
+      names.push({ words: ` ${key} `, code: agency.code });
+    }
+  }
+
+  const resolve = (text) => {
+    const key = normalize(text);
+    if (!key) return null;
+    if (exact.has(key)) return exact.get(key);
+
+    const padded = ` ${key} `;
+    const found = new Set(names.filter(({ words }) => padded.includes(words)).map(({ code }) => code));
+    return found.size === 1 ? [...found][0] : null;
+  };
+
+  return { resolve };
+};
+
+let matcher = null;
+
+const getAgencyMatcher = () => {
+  if (!matcher) matcher = createAgencyMatcher(loadAgencies());
+  return matcher;
+};
+
+const resolveAgencyCode = (text) => getAgencyMatcher().resolve(text);
+
+// Make the agencies table match the config: new and edited agencies are
+// written, agencies no longer listed are deleted (their proposals keep the
+// agency string, agency_code is cleared). Returns { upserted, deleted }.
+const syncAgencies = async (client, { agencies } = loadAgencies()) => {
+  const rows = agencies.map(agency => ({
+    code: agency.code,
+    name: agency.name,
+    parent_ministry: agency.parentMinistry,
+    website: agency.website,
+    description: agency.description,
+    aliases: agency.aliases.map(String)
+  }));
+
+  const upserted = await client.query(
+    `INSERT INTO agencies (code, name, parent_ministry, website, description, aliases)
+     SELECT code, name, parent_ministry, website, description, COALESCE(aliases, '{}')
+     FROM jsonb_to_recordset($1::jsonb)
+       AS a(code TEXT, name TEXT, parent_ministry TEXT, website TEXT, description TEXT, aliases TEXT[])
+     ON CONFLICT (code) DO UPDATE SET
+       name = EXCLUDED.name, parent_ministry = EXCLUDED.parent_ministry, website = EXCLUDED.website,
+       description = EXCLUDED.description, aliases = EXCLUDED.aliases, updated_at = CURRENT_TIMESTAMP
+     WHERE (agencies.name, agencies.parent_ministry, agencies.website, agencies.description, agencies.aliases)
+       IS DISTINCT FROM (EXCLUDED.name, EXCLUDED.parent_ministry, EXCLUDED.website, EXCLUDED.description, EXCLUDED.aliases)`,
+    [JSON.stringify(rows)]
+  );
+  const deleted = await client.query(
+    'DELETE FROM agencies WHERE code <> ALL($1::text[])',
+    [rows.map(row => row.code)]
+  );
+  return { upserted: upserted.rowCount, deleted: deleted.rowCount };
+};
+
+// Set agency_code on every proposal whose agency string resolves differently
+// than stored. Matching runs once per distinct string. Returns the number of
+// proposals changed.
+const assignAgencyCodes = async (query, { resolve } = getAgencyMatcher()) => {
+  const result = await query('SELECT DISTINCT agency FROM proposals');
+  const agencies = result.rows.map(row => row.agency);
+  if (agencies.length === 0) return 0;
+
+  const updated = await query(
+    `UPDATE proposals p SET agency_code = t.code
+     FROM unnest($1::text[], $2::text[]) AS t(agency, code)
+     WHERE p.agency IS NOT DISTINCT FROM t.agency AND p.agency_code IS DISTINCT FROM t.code`,
+    [agencies, agencies.map(resolve)]
+  );
+  return updated.rowCount;
+};
+
+// Every known agency with its proposal counts, most proposals first, plus the
+// agency strings that matched none with their counts
+const listAgencies = async (query) => {
+  const [agencies, unmatched] = await Promise.all([
+    query(
+      `SELECT a.code, a.name, a.parent_ministry, a.website,
+              COUNT(p.id) AS proposal_count,
+              COUNT(p.id) FILTER (WHERE ${NOT_CLOSED_SQL}) AS open_count
+       FROM agencies a LEFT JOIN proposals p ON p.agency_code = a.code
+       GROUP BY a.code ORDER BY proposal_count DESC, a.code`
+    ),
+    query(
+      `SELECT agency, COUNT(*) AS proposal_count FROM proposals
+       WHERE agency_code IS NULL AND agency IS NOT NULL
+       GROUP BY agency ORDER BY proposal_count DESC, agency`
+    )
+  ]);
+
+  return {
+    agencies: agencies.rows.map(row => ({
+      ...row,
+      proposal_count: parseInt(row.proposal_count, 10),
+      open_count: parseInt(row.open_count, 10)
+    })),
+    unmatched: unmatched.rows.map(row => ({ ...row, proposal_count: parseInt(row.proposal_count, 10) }))
+  };
+};
+
+// An agency by code, name or alias, with its call counts and most recent
+// calls, or null
+const getAgency = async (query, code, { recent = RECENT_CALLS } = {}) => {
+  const resolved = resolveAgencyCode(code);
+  if (!resolved) return null;
+
+  const [agency, statuses, calls] = await Promise.all([
+    query(
+      'SELECT code, name, parent_ministry, website, description, aliases, updated_at FROM agencies WHERE code = $1',
+      [resolved]
+    ),
+    query(
+      `SELECT status, COUNT(*) AS count, COUNT(*) FILTER (WHERE ${NOT_CLOSED_SQL}) AS open
+       FROM proposals WHERE agency_code = $1 GROUP BY status`,
+      [resolved]
+    ),
+    query(
+      `SELECT id, title, link, agency, proposal_type, tags, deadline, deadline_text, deadline_kind, status, created_at
+       FROM proposals WHERE agency_code = $1 ORDER BY created_at DESC NULLS LAST, id DESC LIMIT $2`,
+      [resolved, recent]
+    )
+  ]);
+  if (agency.rows.length === 0) return null;
+
+  const byStatus = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  let total = 0;
+  let open = 0;
+  for (const row of statuses.rows) {
+    const count = parseInt(row.count, 10);
+    if (row.status) byStatus[row.status] = count;
+    total += count;
+    open += parseInt(row.open, 10);
+  }
+
+  return {
+    ...agency.rows[0],
+    counts: { total, open, byStatus },
+    recentCalls: calls.rows
+  };
+};
+
+module.exports = {
+  DEFAULT_AGENCIES_FILE,
+  loadAgencies,
+  createAgencyMatcher,
+  getAgencyMatcher,
+  resolveAgencyCode,
+  syncAgencies,
+  assignAgencyCodes,
+  listAgencies,
+  getAgency
+};
@@ -0,0 +1,53 @@
+// Per-host politeness: at most `concurrency` requests in flight per host and
+// at least `intervalMs` between the starts of two requests to the same host.
+// Different hosts do not wait for each other.
+const createHostLimiter = ({ concurrency = 1, intervalMs = 0 } = {}) => {
+  const hosts = new Map();
+
+  const hostState = (host) => {
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, lastStart: 0, intervalMs, queue: [] });
+    }
+    return hosts.get(host);
+  };
+
+  const pump = (host) => {
+    const state = hostState(host);
+    if (state.active >= concurrency || state.queue.length === 0 || state.timer) return;
+
+    const wait = state.lastStart + state.intervalMs - Date.now();
+    if (wait > 0) {
+      state.timer = setTimeout(() => { state.timer = null; pump(host); }, wait);
+      return;
+    }
+
+    const { task, resolve, reject } = state.queue.shift();
+    state.active++;
+    state.lastStart = Date.now();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        state.active--;
+        pump(host);
+      });
+    pump(host);
+  };
+
+  // Run `task` when the URL's host allows another request
+  const schedule = (url, task) => new Promise((resolve, reject) => {
+    const host = new URL(url).host;
+    hostState(host).queue.push({ task, resolve, reject });
+    pump(host);
+  });
+
+  // robots.txt Crawl-delay can only slow a host down
+  const slowDown = (url, minIntervalMs) => {
+    const state = hostState(new URL(url).host);
+    state.intervalMs = Math.max(state.intervalMs, minIntervalMs);
+  };
+
+  return { schedule, slowDown };
+};
+
+module.exports = { createHostLimiter };
@@ -0,0 +1,74 @@
+// Polite crawling: per-host rate limits, robots.txt and conditional fetches.
+// Settings (environment):
+//   CRAWL_CONCURRENCY        pages fetched at once across all hosts (default 2)
+//   CRAWL_HOST_CONCURRENCY   requests in flight per host (default 1)
+//   CRAWL_HOST_INTERVAL_MS   minimum gap between requests to one host (default 5000)
+//   CRAWLER_USER_AGENT       user agent for our own requests and robots.txt matching
+const { createHostLimiter } = require('./hostLimiter');
+const { parseRobots, getRobots } = require('./robots');
+const { contentHash, getCachedPage, saveCachedPage, touchCachedPage } = require('./pageCache');
+
+const USER_AGENT = process.env.CRAWLER_USER_AGENT || 'ShodhSahayakBot/1.0 (+https://shodhsahayak.onrender.com)';
+
+const intSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const getCrawlSettings = () => ({
+  concurrency: Math.max(intSetting('CRAWL_CONCURRENCY', 2), 1),
+  hostConcurrency: Math.max(intSetting('CRAWL_HOST_CONCURRENCY', 1), 1),
+  hostIntervalMs: Math.max(intSetting('CRAWL_HOST_INTERVAL_MS', 5000), 0)
+});
+
+// Cheap change check for backends that cannot send conditional requests
+// (Firecrawl, the headless browser): a HEAD request whose validators are
+// compared with the cached ones. Servers that send neither header, or refuse
+// HEAD, always count as changed.
+const probeValidators = async (url) => {
+  try {
+    const response = await fetch(url, {
+      method: 'HEAD',
+      headers: { 'User-Agent': USER_AGENT },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) return {};
+    return { etag: response.headers.get('etag'), lastModified: response.headers.get('last-modified') };
+  } catch {
+    return {};
+  }
+};
+
+const isUnchanged = (cached, { etag, lastModified }) => Boolean(cached && (
+  (etag && etag === cached.etag) || (!etag && lastModified && lastModified === cached.last_modified)
+));
+
+// Run `worker` over `items` with at most `limit` in flight
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+};
+
+module.exports = {
+  USER_AGENT,
+  getCrawlSettings,
+  createHostLimiter,
+  parseRobots,
+  getRobots,
+  probeValidators,
+  isUnchanged,
+  mapWithConcurrency,
+  contentHash,
+  getCachedPage,
+  saveCachedPage,
+  touchCachedPage
+};
@@ -0,0 +1,47 @@
+// Per-page cache for conditional fetches. Keeps the validators the server sent
+// (ETag / Last-Modified), a hash of the content and the proposals extracted
+// from it, so an unchanged page is neither downloaded in full nor re-extracted.
+const crypto = require('crypto');
+
+const contentHash = ({ markdown, html }) =>
+  crypto.createHash('sha1').update((markdown || html || '').replace(/\s+/g, ' ').trim()).digest('hex');
+
+const getCachedPage = async (client, url) => {
+  const result = await client.query('SELECT * FROM page_cache WHERE url = $1', [url]);
+  return result.rows[0] || null;
+};
+
+const saveCachedPage = async (client, page) => {
+  await client.query(
+    `INSERT INTO page_cache (url, source_id, etag, last_modified, content_hash, structure_hash, proposals,
+                             fetched_at, checked_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+     ON CONFLICT (url) DO UPDATE SET
+       source_id = EXCLUDED.source_id,
+       etag = EXCLUDED.etag,
+       last_modified = EXCLUDED.last_modified,
+       content_hash = EXCLUDED.content_hash,
+       structure_hash = EXCLUDED.structure_hash,
+       proposals = EXCLUDED.proposals,
+       fetched_at = EXCLUDED.fetched_at,
+       checked_at = NOW()`,
+    [page.url, page.sourceId, page.etag || null, page.lastModified || null, page.contentHash,
+      page.structureHash || null, JSON.stringify(page.proposals)]
+  );
+};
+
+// The page was confirmed unchanged; only refresh the check time and validators
+const touchCachedPage = async (client, url, { etag, lastModified } = {}) => {
+  await client.query(
+    `UPDATE page_cache SET checked_at = NOW(), etag = COALESCE($2, etag), last_modified = COALESCE($3, last_modified)
+     WHERE url = $1`,
+    [url, etag || null, lastModified || null]
+  );
+};
+
+module.exports = {
+  contentHash,
+  getCachedPage,
+  saveCachedPage,
+  touchCachedPage
+};
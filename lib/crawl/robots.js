@@ -0,0 +1,93 @@
+// robots.txt support. Rules are read for our own user agent token, falling
+// back to the "*" group; the longest matching Allow/Disallow path wins and
+// Crawl-delay slows the host down. Unreachable or missing robots.txt files
+// allow everything: many agency servers answer 404 or time out on it.
+const ROBOTS_TTL_MS = 6 * 60 * 60 * 1000;
+
+const cache = new Map();
+
+// Path pattern with the * and trailing $ wildcards of the robots.txt spec
+const toPattern = (path) => {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+const parseRobots = (text, agentToken) => {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value, pattern: toPattern(value) });
+    } else if (field === 'crawl-delay' && !Number.isNaN(parseFloat(value))) {
+      current.crawlDelay = parseFloat(value);
+    }
+  }
+
+  const token = agentToken.toLowerCase();
+  const group = groups.find(g => g.agents.some(agent => agent !== '*' && token.includes(agent)))
+    || groups.find(g => g.agents.includes('*'));
+  const rules = group ? group.rules : [];
+
+  return {
+    crawlDelayMs: group && group.crawlDelay ? group.crawlDelay * 1000 : null,
+    isAllowed: (pathAndQuery) => {
+      const matching = rules.filter(rule => rule.pattern.test(pathAndQuery));
+      if (matching.length === 0) return true;
+      // Longest path wins; on a tie Allow wins
+      matching.sort((a, b) => (b.path.length - a.path.length) || (b.allow - a.allow));
+      return matching[0].allow;
+    }
+  };
+};
+
+const ALLOW_ALL = parseRobots('', '*');
+
+const loadRobots = async (origin, userAgent) => {
+  try {
+    const response = await fetch(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': userAgent },
+      redirect: 'follow',
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) return ALLOW_ALL;
+    return parseRobots(await response.text(), userAgent);
+  } catch (error) {
+    console.warn(`  ⚠️  Could not read ${origin}/robots.txt: ${error.message}`);
+    return ALLOW_ALL;
+  }
+};
+
+const getRobots = async (url, userAgent) => {
+  const { origin } = new URL(url);
+  const cached = cache.get(origin);
+  if (cached && Date.now() - cached.loadedAt < ROBOTS_TTL_MS) return cached.robots;
+
+  const robots = await loadRobots(origin, userAgent);
+  cache.set(origin, { robots, loadedAt: Date.now() });
+  return robots;
+};
+
+module.exports = { parseRobots, getRobots };
@@ -0,0 +1,83 @@
+// Minimal 5-field cron expressions ("minute hour day-of-month month day-of-week")
+// evaluated in IST, which has no daylight saving so a fixed offset is exact.
+// Supports *, lists (1,15), ranges (1-5), steps (*/6, 0-30/10) and the
+// @hourly, @daily, @weekly and @monthly shorthands.
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+  ['minute', 0, 59],
+  ['hour', 0, 23],
+  ['dayOfMonth', 1, 31],
+  ['month', 1, 12],
+  ['dayOfWeek', 0, 7]
+];
+
+const parseField = (text, [name, min, max]) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name} "${text}"`);
+    const start = match[1] === '*' ? min : parseInt(match[2], 10);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : start);
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Cron ${name} "${text}" is out of range ${min}-${max}`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+};
+
+const parseCron = (expression) => {
+  const source = (ALIASES[expression.trim()] || expression).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression "${expression}" must have 5 fields`);
+
+  const cron = { expression };
+  FIELDS.forEach((field, index) => { cron[field[0]] = parseField(parts[index], field); });
+  if (cron.dayOfWeek.has(7)) cron.dayOfWeek.add(0); // Sunday is 0 or 7
+  // Standard cron: when both day fields are restricted, either may match
+  cron.anyDay = parts[2] !== '*' && parts[4] !== '*';
+  return cron;
+};
+
+const dayMatches = (cron, ist) => {
+  const dom = cron.dayOfMonth.has(ist.getUTCDate());
+  const dow = cron.dayOfWeek.has(ist.getUTCDay());
+  return cron.anyDay ? dom || dow : dom && dow;
+};
+
+// First time strictly after `after` that matches. IST wall-clock time is
+// represented as a UTC date shifted by the offset.
+const nextRun = (cronOrExpression, after = new Date()) => {
+  const cron = typeof cronOrExpression === 'string' ? parseCron(cronOrExpression) : cronOrExpression;
+  const ist = new Date(Math.floor((after.getTime() + IST_OFFSET_MS) / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = ist.getTime() + 5 * 366 * 24 * 60 * MINUTE_MS;
+
+  while (ist.getTime() < limit) {
+    if (!cron.month.has(ist.getUTCMonth() + 1)) {
+      ist.setUTCMonth(ist.getUTCMonth() + 1, 1);
+      ist.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, ist)) {
+      ist.setUTCDate(ist.getUTCDate() + 1);
+      ist.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(ist.getUTCHours())) {
+      ist.setUTCHours(ist.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(ist.getUTCMinutes())) {
+      ist.setUTCMinutes(ist.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return new Date(ist.getTime() - IST_OFFSET_MS);
+    }
+  }
+  throw new Error(`Cron expression "${cron.expression}" never matches`);
+};
+
+module.exports = { parseCron, nextRun };
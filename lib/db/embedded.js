@@ -0,0 +1,90 @@
+// Embedded database for development and tests: PGlite, PostgreSQL compiled to
+// WebAssembly and run inside the Node process. It speaks the same SQL as the
+// server (arrays, enums, jsonb, advisory locks, pg_trgm), so migrations and
+// queries need no second dialect. Data stays in memory unless `dataDir` names a
+// directory to keep it in; only one process may open a directory at a time.
+//
+// PGlite is a single session, so connect() hands out clients that share it.
+// A client that opens a transaction holds the session until it commits or
+// rolls back; queries from everyone else wait instead of joining it.
+
+// Parsed like pg does: bigint and numeric as strings, DATE as 'YYYY-MM-DD'
+const INT8 = 20;
+const DATE = 1082;
+const PARSERS = { [INT8]: value => value, [DATE]: value => value };
+
+const TRANSACTION_START = /^\s*(BEGIN|START\s+TRANSACTION)\b/i;
+const TRANSACTION_END = /^\s*(COMMIT|ROLLBACK|END|ABORT)\b/i;
+
+const createEmbeddedDatabase = ({ dataDir } = {}) => {
+  // Started on first use, so commands that never query skip loading it
+  let instance = null;
+  const getInstance = () => {
+    if (!instance) {
+      const { PGlite } = require('@electric-sql/pglite');
+      const { pg_trgm } = require('@electric-sql/pglite/contrib/pg_trgm');
+      // One options object: PGlite ignores the second argument when the first
+      // (the directory) is undefined
+      instance = new PGlite({ dataDir: dataDir || undefined, parsers: PARSERS, extensions: { pg_trgm } });
+    }
+    return instance;
+  };
+
+  let transaction = null;
+
+  const run = async (owner, text, params = []) => {
+    while (transaction && transaction.owner !== owner) {
+      await transaction.done;
+    }
+    if (TRANSACTION_START.test(text)) {
+      let finish;
+      transaction = { owner, done: new Promise(resolve => { finish = resolve; }), finish };
+    }
+
+    const ends = TRANSACTION_END.test(text);
+    try {
+      const result = await getInstance().query(text, params);
+      return { rows: result.rows, rowCount: result.affectedRows || result.rows.length, fields: result.fields };
+    } catch (error) {
+      if (transaction && transaction.owner === owner && TRANSACTION_START.test(text)) endTransaction();
+      throw error;
+    } finally {
+      if (ends && transaction && transaction.owner === owner) endTransaction();
+    }
+  };
+
+  const endTransaction = () => {
+    const { finish } = transaction;
+    transaction = null;
+    finish();
+  };
+
+  let clients = 0;
+
+  return {
+    backend: 'embedded',
+    description: dataDir ? `embedded PGlite in ${dataDir}` : 'embedded PGlite in memory',
+    query: (text, params) => run(null, text, params),
+    connect: async () => {
+      const owner = Symbol('client');
+      clients++;
+      return {
+        query: (text, params) => run(owner, text, params),
+        release: () => {
+          clients--;
+          // A client given back mid-transaction must not block everyone else
+          if (transaction && transaction.owner === owner) {
+            run(owner, 'ROLLBACK').catch(() => {});
+          }
+        }
+      };
+    },
+    stats: () => ({ total: 1, idle: clients === 0 ? 1 : 0, waiting: 0 }),
+    end: async () => {
+      if (instance) await instance.close();
+      instance = null;
+    }
+  };
+};
+
+module.exports = { createEmbeddedDatabase };
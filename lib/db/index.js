@@ -0,0 +1,59 @@
+const { createPostgresDatabase } = require('./postgres');
+const { createEmbeddedDatabase } = require('./embedded');
+
+// Database backends. Every backend exposes the subset of pg.Pool the API and
+// the scraper use:
+//   query(text, params) -> { rows, rowCount }
+//   connect()           -> client with query(text, params) and release()
+//   stats()             -> { total, idle, waiting } connections
+//   end()               -> close every connection
+// plus `backend` (its name) and `description` for logs.
+//
+// DB_BACKEND picks the backend:
+//   postgres  the server at DATABASE_URL
+//   embedded  in-process PGlite, in memory or in EMBEDDED_DB_DIR
+// Without DB_BACKEND, postgres is used when DATABASE_URL is set and the
+// embedded database otherwise, so the API and the scraper run locally with no
+// outside services.
+const backends = {
+  postgres: (config) => {
+    if (!config.url) {
+      const error = new Error('DB_BACKEND=postgres needs DATABASE_URL');
+      error.code = 'DATABASE_URL_MISSING';
+      throw error;
+    }
+    return createPostgresDatabase(config);
+  },
+  embedded: createEmbeddedDatabase
+};
+
+const getDatabaseConfig = (env = process.env) => ({
+  backend: env.DB_BACKEND || (env.DATABASE_URL ? 'postgres' : 'embedded'),
+  url: env.DATABASE_URL,
+  ssl: env.DATABASE_SSL !== 'false',
+  dataDir: env.EMBEDDED_DB_DIR
+});
+
+const createDatabase = (config = getDatabaseConfig()) => {
+  const create = backends[config.backend];
+  if (!create) {
+    const error = new Error(`Unknown database backend "${config.backend}" (available: ${Object.keys(backends).join(', ')})`);
+    error.code = 'UNKNOWN_DB_BACKEND';
+    throw error;
+  }
+  return create(config);
+};
+
+// One database per process, shared by the API and the scrapes it starts
+let database = null;
+
+const getDatabase = () => {
+  if (!database) database = createDatabase();
+  return database;
+};
+
+module.exports = {
+  getDatabaseConfig,
+  createDatabase,
+  getDatabase
+};
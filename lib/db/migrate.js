@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations. Every file in ./migrations is one step:
+//   NNN_name.js  exporting { up, down }
+// where up and down are lists of SQL statements or async (client) functions.
+// Applied versions are recorded in schema_migrations. Each migration runs in
+// its own transaction under an advisory lock, so the API and the scraper can
+// both migrate at startup without racing each other.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Arbitrary, but fixed: every process must take the same lock
+const LOCK_KEY = 727301;
+
+const MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+)`;
+
+const loadMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+  .map(file => file.match(MIGRATION_FILE))
+  .filter(Boolean)
+  .map(([file, version, name]) => ({ version: parseInt(version, 10), name, ...require(path.join(dir, file)) }))
+  .sort((a, b) => a.version - b.version);
+
+const runStep = async (client, step) => {
+  if (typeof step === 'function') return step(client);
+  for (const statement of step || []) {
+    await client.query(statement);
+  }
+};
+
+const appliedVersions = async (client) => {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => Number(row.version));
+};
+
+// Run `work` in a transaction holding the migration lock
+const withLock = async (client, work) => {
+  await client.query('BEGIN');
+  try {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+    await client.query(MIGRATIONS_TABLE);
+    const result = await work(await appliedVersions(client));
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+};
+
+// Apply every pending migration up to `to` (default: all). Returns the
+// migrations that were applied, oldest first.
+const migrate = async (client, { to = Infinity, migrations = loadMigrations() } = {}) => {
+  const applied = [];
+  for (const migration of migrations.filter(m => m.version <= to)) {
+    const ran = await withLock(client, async (versions) => {
+      if (versions.includes(migration.version)) return false;
+      await runStep(client, migration.up);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+      return true;
+    });
+    if (ran) applied.push(migration);
+  }
+  return applied;
+};
+
+// Roll back applied migrations newer than `to`, or the latest `steps` of them.
+// Returns the migrations that were rolled back, newest first.
+const rollback = async (client, { to, steps = 1, migrations = loadMigrations() } = {}) => {
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  const versions = await withLock(client, async (applied) => applied);
+  const targets = versions
+    .filter(version => (to === undefined ? true : version > to))
+    .reverse()
+    .slice(0, to === undefined ? steps : Infinity);
+
+  const rolledBack = [];
+  for (const version of targets) {
+    const migration = byVersion.get(version);
+    if (!migration) throw new Error(`Migration ${version} is applied but its file is missing`);
+    await withLock(client, async (applied) => {
+      if (!applied.includes(version)) return;
+      await runStep(client, migration.down);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+    });
+    rolledBack.push(migration);
+  }
+  return rolledBack;
+};
+
+// Every known migration with when it was applied (null when pending)
+const migrationStatus = async (client, { migrations = loadMigrations() } = {}) => {
+  await client.query(MIGRATIONS_TABLE);
+  const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(result.rows.map(row => [Number(row.version), row.applied_at]));
+  return migrations.map(({ version, name }) => ({ version, name, appliedAt: appliedAt.get(version) || null }));
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrate,
+  rollback,
+  migrationStatus
+};
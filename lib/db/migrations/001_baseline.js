@@ -0,0 +1,137 @@
+// 001: the schema as it stood before versioned migrations. Every statement is
+// idempotent, so it applies cleanly both to an empty database and to one
+// created by the old ensureSchema; later changes are migrations of their own.
+const PROPOSALS_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS proposals (
+    id SERIAL PRIMARY KEY,
+    title TEXT NOT NULL,
+    agency TEXT,
+    from_date TEXT,
+    deadline TEXT,
+    link TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(title, link)
+  )`,
+  // PDF circular the call details were read from
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS source_document JSONB',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS eligibility_text TEXT',
+  // Every date found for the call with its role and confidence, plus the
+  // deadline as an IST instant
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS date_details JSONB',
+  // Lifecycle (see lib/lifecycle.js)
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS source_id TEXT',
+  "ALTER TABLE proposals ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'open'",
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMP',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP',
+  `UPDATE proposals SET first_seen_at = created_at, last_seen_at = created_at
+   WHERE first_seen_at IS NULL`,
+  'CREATE INDEX IF NOT EXISTS proposals_status_idx ON proposals (status)',
+  'CREATE INDEX IF NOT EXISTS proposals_source_id_idx ON proposals (source_id)',
+  // Change history (see lib/revisions.js)
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS deadline_extended BOOLEAN DEFAULT FALSE',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS previous_deadline TEXT',
+  `CREATE TABLE IF NOT EXISTS proposal_revisions (
+    id SERIAL PRIMARY KEY,
+    proposal_id INTEGER NOT NULL REFERENCES proposals(id) ON DELETE CASCADE,
+    run_id TEXT,
+    field TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  'CREATE INDEX IF NOT EXISTS proposal_revisions_proposal_idx ON proposal_revisions (proposal_id, changed_at)',
+  // Every source and link the call was listed under (see lib/dedupe.js)
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS sources JSONB',
+  // Classification (see lib/extract/classify.js)
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS proposal_type TEXT',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS tags TEXT[]',
+  'CREATE INDEX IF NOT EXISTS proposals_type_idx ON proposals (proposal_type)',
+  'CREATE INDEX IF NOT EXISTS proposals_tags_idx ON proposals USING GIN (tags)',
+  // Eligibility and funding (see lib/extract/callDetails.js); amounts in INR
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS career_stages TEXT[]',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS age_limit INTEGER',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS age_relaxation INTEGER',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS institution_types TEXT[]',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS nationalities TEXT[]',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS funding_amount_inr BIGINT',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS funding_period TEXT',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS funding_duration_months INTEGER',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS funding_text TEXT',
+  'CREATE INDEX IF NOT EXISTS proposals_career_stages_idx ON proposals USING GIN (career_stages)',
+  'CREATE INDEX IF NOT EXISTS proposals_funding_amount_idx ON proposals (funding_amount_inr)',
+  // Read from the proposal's own page (see lib/extract/detail.js)
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS summary TEXT',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS contact_email TEXT',
+  'ALTER TABLE proposals ADD COLUMN IF NOT EXISTS details JSONB'
+];
+
+// Scrape run ledger (see lib/runs.js)
+const RUNS_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS scrape_runs (
+    id TEXT PRIMARY KEY,
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    status TEXT NOT NULL DEFAULT 'running',
+    mode TEXT,
+    sources_total INTEGER DEFAULT 0,
+    sources_failed INTEGER DEFAULT 0,
+    proposals_found INTEGER DEFAULT 0,
+    proposals_new INTEGER DEFAULT 0,
+    proposals_updated INTEGER DEFAULT 0,
+    proposals_rejected INTEGER DEFAULT 0,
+    error TEXT
+  )`,
+  'CREATE INDEX IF NOT EXISTS scrape_runs_started_at_idx ON scrape_runs (started_at DESC)',
+  `CREATE TABLE IF NOT EXISTS scrape_run_sources (
+    id SERIAL PRIMARY KEY,
+    run_id TEXT NOT NULL REFERENCES scrape_runs(id) ON DELETE CASCADE,
+    source_id TEXT NOT NULL,
+    url TEXT NOT NULL,
+    fetcher TEXT,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    status TEXT NOT NULL,
+    http_status INTEGER,
+    error TEXT,
+    proposals_found INTEGER DEFAULT 0,
+    proposals_new INTEGER DEFAULT 0,
+    proposals_updated INTEGER DEFAULT 0,
+    proposals_rejected INTEGER DEFAULT 0
+  )`,
+  'CREATE INDEX IF NOT EXISTS scrape_run_sources_run_idx ON scrape_run_sources (run_id)',
+  'CREATE INDEX IF NOT EXISTS scrape_run_sources_source_idx ON scrape_run_sources (source_id, started_at DESC)',
+  // Source health (see lib/health.js)
+  'ALTER TABLE scrape_run_sources ADD COLUMN IF NOT EXISTS structure_hash TEXT',
+  `CREATE TABLE IF NOT EXISTS source_health (
+    source_id TEXT PRIMARY KEY,
+    state TEXT NOT NULL DEFAULT 'unknown',
+    issues JSONB DEFAULT '[]',
+    last_run_id TEXT,
+    last_yield INTEGER,
+    baseline_yield NUMERIC,
+    consecutive_failures INTEGER DEFAULT 0,
+    last_ok_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  // Conditional fetch cache (see lib/crawl/pageCache.js)
+  `CREATE TABLE IF NOT EXISTS page_cache (
+    url TEXT PRIMARY KEY,
+    source_id TEXT,
+    etag TEXT,
+    last_modified TEXT,
+    content_hash TEXT,
+    structure_hash TEXT,
+    proposals JSONB,
+    fetched_at TIMESTAMP,
+    checked_at TIMESTAMP
+  )`
+];
+
+module.exports = {
+  up: [...PROPOSALS_SCHEMA, ...RUNS_SCHEMA],
+  down: () => {
+    throw new Error('The baseline migration cannot be rolled back; drop the database instead');
+  }
+};
@@ -0,0 +1,52 @@
+const { toDeadlineColumns, toOpeningDate } = require('../../extract/dates');
+
+// 002: deadlines and opening dates as DATE columns. The text the scraper
+// stored ("2025-03-31", "Rolling Deadline", "Not specified" or raw page text)
+// moves to deadline_text / from_date_text, and deadline_kind says whether a
+// call has a fixed deadline, is open on a rolling basis or does not say.
+const up = async (client) => {
+  await client.query("CREATE TYPE deadline_kind AS ENUM ('fixed', 'rolling', 'unknown')");
+  await client.query('ALTER TABLE proposals RENAME COLUMN deadline TO deadline_text');
+  await client.query('ALTER TABLE proposals RENAME COLUMN from_date TO from_date_text');
+  await client.query(`ALTER TABLE proposals
+    ADD COLUMN deadline DATE,
+    ADD COLUMN from_date DATE,
+    ADD COLUMN deadline_kind deadline_kind NOT NULL DEFAULT 'unknown'`);
+
+  // Parsed with the same date reader the scraper uses for new rows
+  const { rows } = await client.query('SELECT id, from_date_text, deadline_text FROM proposals');
+  const typed = rows.map(row => ({ id: row.id, opening: toOpeningDate(row.from_date_text), ...toDeadlineColumns(row.deadline_text) }));
+  if (typed.length > 0) {
+    await client.query(
+      `UPDATE proposals p SET deadline = t.deadline, from_date = t.from_date, deadline_kind = t.kind::deadline_kind
+       FROM unnest($1::int[], $2::date[], $3::date[], $4::text[]) AS t(id, deadline, from_date, kind)
+       WHERE p.id = t.id`,
+      [typed.map(t => t.id), typed.map(t => t.date), typed.map(t => t.opening), typed.map(t => t.kind)]
+    );
+  }
+
+  // An ISO date text must come through as a date; a NULL would turn an
+  // expired call into an open one
+  const lost = await client.query(
+    `SELECT COUNT(*) AS count FROM proposals
+     WHERE (deadline_text ~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}$' AND deadline IS NULL)
+        OR (from_date_text ~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}$' AND from_date IS NULL)`
+  );
+  if (parseInt(lost.rows[0].count, 10) > 0) {
+    throw new Error(`${lost.rows[0].count} proposals would lose their stored date`);
+  }
+
+  await client.query('CREATE INDEX proposals_deadline_idx ON proposals (deadline)');
+  await client.query('CREATE INDEX proposals_deadline_kind_idx ON proposals (deadline_kind)');
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS proposals_deadline_kind_idx');
+  await client.query('DROP INDEX IF EXISTS proposals_deadline_idx');
+  await client.query('ALTER TABLE proposals DROP COLUMN deadline, DROP COLUMN from_date, DROP COLUMN deadline_kind');
+  await client.query('ALTER TABLE proposals RENAME COLUMN deadline_text TO deadline');
+  await client.query('ALTER TABLE proposals RENAME COLUMN from_date_text TO from_date');
+  await client.query('DROP TYPE deadline_kind');
+};
+
+module.exports = { up, down };
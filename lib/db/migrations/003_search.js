@@ -0,0 +1,30 @@
+// 003: full-text and fuzzy search (see lib/search.js). The search document is
+// an expression index rather than a column, so SELECT * stays as it was:
+//   A  title
+//   B  agency, type and subject tags (slugs split on "_" by the parser)
+//   C  summary read from the proposal's own page
+// Trigrams on the title catch typos the full-text match misses. pg_trgm ships
+// with PostgreSQL and Render allows creating it; the embedded backend loads
+// PGlite's build of it (lib/db/embedded.js, checked by npm run db:check).
+const up = [
+  'CREATE EXTENSION IF NOT EXISTS pg_trgm',
+  // array_to_string is only STABLE, so the index needs an IMMUTABLE wrapper
+  `CREATE OR REPLACE FUNCTION proposal_search_vector(title TEXT, agency TEXT, proposal_type TEXT, tags TEXT[], summary TEXT)
+   RETURNS tsvector LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+     SELECT setweight(to_tsvector('english', coalesce(title, '')), 'A')
+         || setweight(to_tsvector('english', concat_ws(' ', agency, proposal_type, array_to_string(tags, ' '))), 'B')
+         || setweight(to_tsvector('english', coalesce(summary, '')), 'C')
+   $$`,
+  `CREATE INDEX proposals_search_idx ON proposals
+   USING GIN (proposal_search_vector(title, agency, proposal_type, tags, summary))`,
+  'CREATE INDEX proposals_title_trgm_idx ON proposals USING GIN (title gin_trgm_ops)'
+];
+
+// pg_trgm stays installed, other objects may depend on it
+const down = [
+  'DROP INDEX IF EXISTS proposals_title_trgm_idx',
+  'DROP INDEX IF EXISTS proposals_search_idx',
+  'DROP FUNCTION IF EXISTS proposal_search_vector(TEXT, TEXT, TEXT, TEXT[], TEXT)'
+];
+
+module.exports = { up, down };
@@ -0,0 +1,15 @@
+// 004: indexes matching the sort orders of /api/proposals (see SORTS in
+// lib/proposals.js), so following a cursor does not sort the whole table
+const up = [
+  'CREATE INDEX proposals_newest_idx ON proposals (created_at DESC NULLS LAST, id DESC)',
+  'CREATE INDEX proposals_deadline_order_idx ON proposals (deadline ASC NULLS LAST, id ASC)',
+  'DROP INDEX IF EXISTS proposals_deadline_idx'
+];
+
+const down = [
+  'CREATE INDEX proposals_deadline_idx ON proposals (deadline)',
+  'DROP INDEX IF EXISTS proposals_deadline_order_idx',
+  'DROP INDEX IF EXISTS proposals_newest_idx'
+];
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// 005: funding agencies as rows of their own (see lib/agencies.js). The
+// agencies are loaded from config/agencies.yaml at startup; agency_code links
+// a proposal to one of them and stays NULL when its agency string names no
+// single known agency. The free-text agency column is kept as scraped.
+const up = [
+  `CREATE TABLE agencies (
+    code TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    parent_ministry TEXT,
+    website TEXT,
+    description TEXT,
+    aliases TEXT[] NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `ALTER TABLE proposals ADD COLUMN agency_code TEXT
+   REFERENCES agencies(code) ON UPDATE CASCADE ON DELETE SET NULL`,
+  'CREATE INDEX proposals_agency_code_idx ON proposals (agency_code)'
+];
+
+const down = [
+  'ALTER TABLE proposals DROP COLUMN IF EXISTS agency_code',
+  'DROP TABLE IF EXISTS agencies'
+];
+
+module.exports = { up, down };
@@ -0,0 +1,54 @@
+const { Pool, types } = require('pg');
+
+// PostgreSQL server (Render in production) through a pg connection pool.
+// DATABASE_SSL=false connects without TLS, e.g. to a local server.
+
+// DATE columns come back as the 'YYYY-MM-DD' text they hold rather than a JS
+// Date at local midnight, which would shift the day outside UTC
+types.setTypeParser(types.builtins.DATE, value => value);
+
+const hostOf = (connectionString) => {
+  try {
+    return new URL(connectionString).host || 'localhost';
+  } catch {
+    return 'an unparseable DATABASE_URL';
+  }
+};
+
+const createPostgresDatabase = ({ url, ssl = true }) => {
+  // sslmode in the URL conflicts with the ssl settings below
+  const connectionString = url.replace(/[?&]sslmode=require/, '');
+
+  const pool = new Pool({
+    connectionString,
+    ssl: ssl ? { rejectUnauthorized: false } : false,
+    // Small pool that may close completely, for Render's connection limits
+    max: 5,
+    min: 0,
+    idleTimeoutMillis: 10000,        // Close idle connections after 10 seconds
+    connectionTimeoutMillis: 10000,  // Timeout new connections
+    acquireTimeoutMillis: 10000,     // Timeout waiting for connection
+    allowExitOnIdle: true,           // Allow process to exit when pool empty
+    keepAlive: true,                 // Prevent connection drops
+    keepAliveInitialDelayMillis: 30000
+  });
+
+  // An idle client losing its connection must not crash the process
+  pool.on('error', (err) => {
+    console.error('🚨 Pool error (expected on Render):', err.message);
+  });
+
+  pool.on('connect', () => console.log('✅ New database client connected'));
+  pool.on('remove', () => console.log('🔄 Database client removed'));
+
+  return {
+    backend: 'postgres',
+    description: `PostgreSQL at ${hostOf(connectionString)}`,
+    query: (text, params) => pool.query(text, params),
+    connect: () => pool.connect(),
+    stats: () => ({ total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount }),
+    end: () => pool.end()
+  };
+};
+
+module.exports = { createPostgresDatabase };
@@ -0,0 +1,19 @@
+const { migrate } = require('./migrate');
+const { syncAgencies, assignAgencyCodes } = require('../agencies');
+
+// Shared database schema, used by both the API (index.js) and the scraper.
+// The schema lives in versioned migrations (./migrations, see ./migrate.js);
+// either process applies the pending ones at startup, then loads the agency
+// list (config/agencies.yaml) and links proposals to it.
+const ensureSchema = async (client) => {
+  const applied = await migrate(client);
+  applied.forEach(({ version, name }) => console.log(`🗄️  Applied migration ${version} (${name})`));
+
+  const { upserted, deleted } = await syncAgencies(client);
+  const linked = await assignAgencyCodes((text, params) => client.query(text, params));
+  if (upserted > 0 || deleted > 0 || linked > 0) {
+    console.log(`🏢 Agencies: ${upserted} updated, ${deleted} removed, ${linked} proposals linked`);
+  }
+};
+
+module.exports = { ensureSchema };
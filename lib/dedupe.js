@@ -0,0 +1,170 @@
+// Canonicalization and near-duplicate merging. The same call is often listed
+// by the agency itself and by aggregators such as VIT, with small differences
+// in the link (trailing slash, tracking parameters, www.) or the title
+// (whitespace, punctuation, "&" vs "and").
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|_gl|igshid|ref|ref_src)$/i;
+
+// Titles at least this similar (Dice coefficient over words) are the same
+// call when agency and deadline also agree
+const TITLE_SIMILARITY = 0.8;
+
+const BLANK_VALUES = new Set(['', 'Not specified']);
+
+// Normalized URL for storage: no fragment, no tracking parameters, sorted
+// query, no default port, no trailing slash. Scheme and host are kept as the
+// site serves them.
+const canonicalizeUrl = (link) => {
+  if (!link || typeof link !== 'string') return link;
+  let url;
+  try {
+    url = new URL(link.trim());
+  } catch {
+    return link.trim();
+  }
+  if (!/^https?:$/.test(url.protocol)) return url.href;
+
+  url.hash = '';
+  const params = Array.from(url.searchParams.entries())
+    .filter(([name]) => !TRACKING_PARAMS.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+  url.pathname = url.pathname.replace(/\/{2,}/g, '/');
+  if (url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, '');
+
+  return url.href;
+};
+
+// Key for comparing links: http/https and www. are the same page
+const urlKey = (link) => (canonicalizeUrl(link) || '')
+  .replace(/^https?:\/\//i, '')
+  .replace(/^www\./i, '')
+  .replace(/\/$/, '');
+
+const normalizeTitle = (title) => (title || '').replace(/\s+/g, ' ').trim();
+
+const titleWords = (title) => normalizeTitle(title)
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .split(' ')
+  .filter(Boolean);
+
+const titleKey = (title) => titleWords(title).join(' ');
+
+const titleSimilarity = (a, b) => {
+  const wordsA = new Set(titleWords(a));
+  const wordsB = new Set(titleWords(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  const shared = Array.from(wordsA).filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+// "Call 2025" and "Call 2026" must never merge, however similar the rest is
+const sameNumbers = (a, b) => {
+  const numbers = (title) => titleWords(title).filter(word => /\d/.test(word)).sort().join(' ');
+  return numbers(a) === numbers(b);
+};
+
+const isBlank = (value) => value === null || value === undefined || BLANK_VALUES.has(value);
+
+const isUnknownAgency = (agency) => isBlank(agency) || /^(unknown|multiple) agenc/i.test(agency);
+
+// Aggregator rows whose agency could not be recovered match any agency
+const sameAgency = (a, b) => isUnknownAgency(a.agency) || isUnknownAgency(b.agency)
+  || a.agency.toLowerCase() === b.agency.toLowerCase();
+
+const isNearDuplicate = (a, b) => {
+  if (urlKey(a.link) === urlKey(b.link) && titleKey(a.title) === titleKey(b.title)) return true;
+  if (!sameNumbers(a.title, b.title)) return false;
+
+  const similar = titleSimilarity(a.title, b.title) >= TITLE_SIMILARITY;
+  if (similar && urlKey(a.link) === urlKey(b.link)) return true;
+  return similar && sameAgency(a, b) && !isBlank(a.endDate) && a.endDate === b.endDate;
+};
+
+// Title and link in their stored form
+const canonicalizeProposal = (proposal) => ({
+  ...proposal,
+  title: normalizeTitle(proposal.title),
+  link: canonicalizeUrl(proposal.link)
+});
+
+// Every (source, link) pair a proposal was listed under, without repeats
+const mergeSources = (...lists) => {
+  const merged = new Map();
+  for (const entry of lists.flat()) {
+    if (!entry || !entry.link) continue;
+    const key = `${entry.sourceId || ''}|${urlKey(entry.link)}`;
+    if (!merged.has(key)) merged.set(key, { sourceId: entry.sourceId || null, link: entry.link });
+  }
+  return Array.from(merged.values());
+};
+
+const sourcesOf = (proposal) => proposal.sources || [{ sourceId: proposal.sourceId, link: proposal.link }];
+
+// More specified fields make a better canonical record
+const completeness = (proposal) =>
+  ['startDate', 'endDate', 'sourceDocument', 'eligibilityText'].filter(field => !isBlank(proposal[field])).length;
+
+// Merge near-duplicates into one canonical proposal each. `rank(proposal)`
+// orders candidates for the canonical record (lower wins), e.g. so that the
+// agency's own listing beats an aggregator's copy. Blank fields of the
+// canonical record are filled from its duplicates.
+const mergeDuplicates = (proposals, { rank = () => 0 } = {}) => {
+  const candidates = proposals.map(canonicalizeProposal);
+
+  // Union-find over every pair, so the grouping does not depend on input order
+  const parent = candidates.map((_, index) => index);
+  const find = (index) => parent[index] === index ? index : (parent[index] = find(parent[index]));
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      if (find(i) !== find(j) && isNearDuplicate(candidates[i], candidates[j])) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  candidates.forEach((proposal, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(proposal);
+  });
+
+  return Array.from(groups.values()).map(members => {
+    const [canonical, ...duplicates] = [...members].sort((a, b) =>
+      (rank(a) - rank(b)) || (completeness(b) - completeness(a))
+    );
+    const merged = { ...canonical, sources: mergeSources(...members.map(sourcesOf)) };
+
+    for (const duplicate of duplicates) {
+      if (isBlank(merged.endDate) && !isBlank(duplicate.endDate)) {
+        merged.endDate = duplicate.endDate;
+        merged.dateDetails = duplicate.dateDetails;
+      }
+      for (const field of ['startDate', 'sourceDocument', 'eligibilityText', 'eligibility', 'funding']) {
+        if (isBlank(merged[field]) && !isBlank(duplicate[field])) merged[field] = duplicate[field];
+      }
+      if (isUnknownAgency(merged.agency) && !isUnknownAgency(duplicate.agency)) {
+        merged.agency = duplicate.agency;
+      }
+    }
+    if (members.some(member => member.tags)) {
+      merged.tags = [...new Set(members.flatMap(member => member.tags || []))];
+    }
+    return merged;
+  });
+};
+
+module.exports = {
+  TITLE_SIMILARITY,
+  canonicalizeUrl,
+  urlKey,
+  normalizeTitle,
+  titleSimilarity,
+  isUnknownAgency,
+  isNearDuplicate,
+  canonicalizeProposal,
+  mergeSources,
+  mergeDuplicates
+};
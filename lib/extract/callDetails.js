@@ -0,0 +1,188 @@
+// Eligibility and funding read from a call's own text (its listing block or
+// table row, and the PDF circular when there is one). Amounts are normalised
+// to INR, including Indian "lakh" and "crore" notation; foreign currencies use
+// the FX_RATES_INR table ("USD=83,EUR=90") so they can be compared at all.
+const CAREER_STAGES = [
+  ['phd_student', /\bph\.?\s?d\.?\s?(students?|scholars?|candidates?)|doctoral (students?|candidates?|scholars?)|research scholars?|pursuing (a )?ph\.?\s?d|registered for ph\.?\s?d|\b(jrf|srf)\b/i],
+  ['postdoc', /post-?\s?doc\w*|after (completing|obtaining) (their |the )?ph\.?\s?d/i],
+  ['early_career', /early[- ]career|young (scientists?|researchers?|investigators?|faculty)|new(ly)? (appointed|recruited|joined) faculty|within \w+ years of (their |the )?(ph\.?\s?d|obtaining|joining|first appointment)/i],
+  ['faculty', /\bfaculty\b|assistant professors?|associate professors?|\bprofessors?\b|principal investigators?|regular (positions?|employees?|appointment)|permanent (positions?|employees?)|scientists? (working|employed)/i]
+];
+
+const INSTITUTION_TYPES = [
+  ['university', /universit(y|ies)/i],
+  ['college', /\bcolleges?\b/i],
+  ['research_institute', /research (institutes?|institutions?|laborator(y|ies)|organi[sz]ations?|centres?|centers?)|national (labs?|laborator(y|ies))|r&d (institutions?|labs?|organi[sz]ations?)|institutes? of national importance/i],
+  ['government', /government (departments?|organi[sz]ations?|institutions?|agencies)|central (government|ministr\w*)|state government|\bpsus?\b|public sector/i],
+  ['industry', /\bcompan(y|ies)\b|industr(y|ies)|start-?ups?|\bmsmes?\b|private (sector|companies|firms)|dsir[- ]recogni[sz]ed/i],
+  ['ngo', /non-?profit|\bngos?\b|voluntary organi[sz]ations?|section 8|registered (societ(y|ies)|trusts?)/i]
+];
+
+const NATIONALITIES = [
+  ['indian', /indian (nationals?|citizens?|researchers?|scientists?|origin)|citizens? of india|nationality[^.;]{0,20}indian|resident indians?/i],
+  ['oci', /\boci\b|overseas citizens? of india|persons? of indian origin|\bpio\b/i],
+  ['nri', /\bnris?\b|non-resident indians?/i],
+  ['foreign', /foreign (nationals?|researchers?|scientists?|citizens?)|non-indian|nationals of (other|any) countr/i]
+];
+
+const matchAll = (table, text) => table.filter(([, pattern]) => pattern.test(text)).map(([name]) => name);
+
+// Sentence breaks, but not after "Rs." or "Dr." and not before a number
+const sentences = (text) => text
+  .split(/(?<!\b(?:rs|no|dr|prof|viz)\.)(?<=[.;])\s+(?=[A-Z(])|\n+/i)
+  .map(s => s.trim())
+  .filter(Boolean);
+
+// Upper age limit and any relaxation ("below 40 years ... relaxable by 5
+// years for SC/ST/women"). Only sentences that talk about age are read, so
+// project durations are never taken for age limits.
+const extractAge = (text) => {
+  let ageLimit = null;
+  let ageRelaxation = null;
+  for (const sentence of sentences(text)) {
+    if (!/\bage(d|s)?\b/i.test(sentence)) continue;
+    const relaxation = sentence.match(/relax\w*[^.;]{0,40}?\b(\d{1,2})\s*(years|yrs)|\b(\d{1,2})\s*(years|yrs)[^.;]{0,20}relax/i);
+    if (relaxation && ageRelaxation === null) {
+      ageRelaxation = parseInt(relaxation[1] || relaxation[3], 10);
+    }
+    if (ageLimit === null) {
+      const limits = [...sentence.matchAll(/\b(\d{2})\s*(years|yrs)/gi)]
+        .map(match => parseInt(match[1], 10))
+        .filter(age => age >= 18 && age <= 70);
+      if (limits.length > 0) ageLimit = limits[0];
+    }
+  }
+  return { ageLimit, ageRelaxation };
+};
+
+const extractEligibility = (text) => {
+  if (!text) return null;
+  const eligibility = {
+    careerStages: matchAll(CAREER_STAGES, text),
+    ...extractAge(text),
+    institutionTypes: matchAll(INSTITUTION_TYPES, text),
+    nationalities: matchAll(NATIONALITIES, text)
+  };
+  const found = eligibility.careerStages.length || eligibility.institutionTypes.length
+    || eligibility.nationalities.length || eligibility.ageLimit !== null;
+  return found ? eligibility : null;
+};
+
+const DEFAULT_FX_RATES = { USD: 83, EUR: 90, GBP: 105 };
+
+const getFxRates = () => {
+  const rates = { ...DEFAULT_FX_RATES };
+  for (const entry of (process.env.FX_RATES_INR || '').split(',')) {
+    const [code, rate] = entry.split('=').map(part => part && part.trim());
+    if (code && parseFloat(rate) > 0) rates[code.toUpperCase()] = parseFloat(rate);
+  }
+  return rates;
+};
+
+const CURRENCIES = [
+  ['INR', /^(₹|rs\.?|inr|rupees?)$/i],
+  ['USD', /^(us\$|usd|\$)$/i],
+  ['EUR', /^(€|eur|euros?)$/i],
+  ['GBP', /^(£|gbp)$/i]
+];
+
+const UNITS = [
+  [/^(lakhs?|lacs?|lakh)$/i, 1e5],
+  [/^(crores?|cr\.?)$/i, 1e7],
+  [/^(million|mn)$/i, 1e6],
+  [/^(billion|bn)$/i, 1e9],
+  [/^k$/i, 1e3]
+];
+
+// "Rs. 50 lakh", "₹2.5 crore", "INR 10,00,000", "35 lakhs", "USD 100,000"
+const AMOUNT_PATTERN = /(₹|\brs\.?|\binr\b|\brupees?\b|us\$|\busd\b|\$|€|\beur\b|£|\bgbp\b)?\s*(\d{1,3}(?:,\d{2,3})+(?:\.\d+)?|\d+(?:\.\d+)?)\s*(lakhs?|lacs?|crores?|cr\b\.?|million|mn\b|billion|bn\b|k\b)?(?:\s*(rupees?|inr|usd|euros?)\b)?/gi;
+
+const PERIODS = [
+  ['month', /^\s*(per month|\/-?\s*(per )?month|p\.?\s?m\.?\b|a month|monthly)/i],
+  ['year', /^\s*(per (annum|year)|\/-?\s*(per )?(annum|year)|p\.?\s?a\.?\b|a year|annually)/i]
+];
+
+const parseAmounts = (text) => {
+  const rates = getFxRates();
+  const amounts = [];
+  for (const match of text.matchAll(AMOUNT_PATTERN)) {
+    const [raw, symbol, number, unit, suffix] = match;
+    if (!symbol && !unit && !suffix) continue;
+    const currencyText = (symbol || suffix || '').trim();
+    const currency = currencyText ? (CURRENCIES.find(([, pattern]) => pattern.test(currencyText)) || ['INR'])[0] : 'INR';
+    const multiplier = unit ? UNITS.find(([pattern]) => pattern.test(unit.replace(/\s/g, '')))[1] : 1;
+    const amount = parseFloat(number.replace(/,/g, '')) * multiplier;
+    if (!amount || (currency !== 'INR' && !rates[currency])) continue;
+
+    const after = text.slice(match.index + raw.length, match.index + raw.length + 25);
+    const period = (PERIODS.find(([, pattern]) => pattern.test(after)) || ['total'])[0];
+    amounts.push({
+      amountInr: Math.round(currency === 'INR' ? amount : amount * rates[currency]),
+      currency,
+      amount,
+      period,
+      text: raw.trim()
+    });
+  }
+  return amounts;
+};
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+const extractDuration = (text) => {
+  const match = text.match(/\b(?:period|duration|tenure|for)\s+(?:of\s+)?(?:up ?to\s+|maximum of\s+|a maximum of\s+)?(\d+(?:\.\d+)?|one|two|three|four|five|six)\s*(years?|months?)\b/i);
+  if (!match) return null;
+  const value = NUMBER_WORDS[match[1].toLowerCase()] || parseFloat(match[1]);
+  return Math.round(/^month/i.test(match[2]) ? value : value * 12);
+};
+
+// The largest amount stated in a sentence about money is the ceiling of the
+// support; amounts elsewhere (fees, page counts in rupees) are ignored
+const FUNDING_CONTEXT = /grant|fund|support|budget|amount|award|prize|stipend|fellowship|up ?to|maximum|ceiling|worth|cost|sanction/i;
+
+const extractFunding = (text) => {
+  if (!text) return null;
+  const amounts = sentences(text)
+    .filter(sentence => FUNDING_CONTEXT.test(sentence))
+    .flatMap(parseAmounts);
+  if (amounts.length === 0) return null;
+
+  const best = amounts.reduce((max, amount) => amount.amountInr > max.amountInr ? amount : max);
+  return { ...best, durationMonths: extractDuration(text) };
+};
+
+const extractCallDetails = (text) => ({
+  eligibility: extractEligibility(text),
+  funding: extractFunding(text)
+});
+
+// Listing values win; a PDF circular fills what the listing left out and adds
+// to the eligibility lists
+const union = (a = [], b = []) => [...new Set([...a, ...b])];
+
+const mergeCallDetails = (listing, pdf) => {
+  const eligibility = listing.eligibility && pdf.eligibility
+    ? {
+      careerStages: union(listing.eligibility.careerStages, pdf.eligibility.careerStages),
+      ageLimit: listing.eligibility.ageLimit ?? pdf.eligibility.ageLimit,
+      ageRelaxation: listing.eligibility.ageRelaxation ?? pdf.eligibility.ageRelaxation,
+      institutionTypes: union(listing.eligibility.institutionTypes, pdf.eligibility.institutionTypes),
+      nationalities: union(listing.eligibility.nationalities, pdf.eligibility.nationalities)
+    }
+    : listing.eligibility || pdf.eligibility;
+  const funding = listing.funding
+    ? { ...listing.funding, durationMonths: listing.funding.durationMonths ?? (pdf.funding && pdf.funding.durationMonths) ?? null }
+    : pdf.funding;
+  return { eligibility: eligibility || null, funding: funding || null };
+};
+
+module.exports = {
+  CAREER_STAGES: CAREER_STAGES.map(([name]) => name),
+  INSTITUTION_TYPES: INSTITUTION_TYPES.map(([name]) => name),
+  NATIONALITIES: NATIONALITIES.map(([name]) => name),
+  parseAmounts,
+  extractEligibility,
+  extractFunding,
+  extractCallDetails,
+  mergeCallDetails
+};
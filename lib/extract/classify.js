@@ -0,0 +1,114 @@
+// Rule-based proposal classifier. Scores a candidate title (plus what the
+// extractor knows about where it was found) and decides whether it is a call
+// for proposals, with the reason that decided it. Accepted proposals also get
+// a type and subject tags, stored on the proposal for API filtering.
+const MIN_SCORE = 2;
+
+// [pattern, points, reason]; every matching rule counts once
+const SIGNALS = [
+  [/\b(call for (proposals?|applications?|nominations?|papers?)|request for proposals?|rfp|cfp|expression of interest|eoi)\b/i, 3, 'call for proposals wording'],
+  [/\b(applications?|proposals?|nominations?) (are )?(invited|sought|open)\b|\binvit(es|ation|ing)\b/i, 3, 'invitation wording'],
+  [/\b(grants?|fellowships?|scholarships?|awards?|prizes?|schemes?|programmes?|programs?|funding|tenders?|competitions?|challenges?|chairs?|workshops?|seminars?)\b/i, 2, 'funding keyword'],
+  [/\b(research|r&d|innovation|projects?|proposals?|collaborat\w*|joint|phd|post-?doc\w*|start-?ups?|opportunit\w*|deadline|submission)\b/i, 1, 'research keyword'],
+  [/scien|technolog|engineer|incubat|translat/i, 1, 'subject keyword']
+];
+
+const NAVIGATION = /^(home|about( us)?|contact( us)?|log ?in|sign ?in|register|sitemap|read more|click here|view all|view more|more|next|previous|back|faq'?s?|gallery|photo gallery|downloads?|archives?|rti|tenders|careers|screen reader access|skip to (main )?content)$/i;
+
+// Outcomes and news about calls rather than the calls themselves
+const NEWS = [
+  /\b(results?|selected (candidates|proposals|projects)|list of (selected|shortlisted|awardees|winners)|shortlisted|winners|awardees|minutes of)\b/i,
+  /\b(press release|newsletter|annual report|photo|video|obituary|condolence|congratulat\w*)\b/i,
+  /\b(was|were|has been|have been) (held|organi[sz]ed|conducted|inaugurated|launched|celebrated)\b|\b(inaugurated|celebrated|visited|concluded)\b/i
+];
+
+// First match wins, so the narrow types come before the catch-all grant
+const PROPOSAL_TYPES = [
+  ['tender', /\b(tenders?|quotations?|rfq|bids?|e-?procurement|rate contract)\b/i],
+  ['travel_grant', /\b(travel (grants?|support|awards?|fellowships?)|international travel|itsg?)\b/i],
+  ['workshop', /\b(workshops?|seminars?|conferences?|symposi(a|um)|webinars?|training (programmes?|programs?|courses?)|(summer|winter) schools?)\b/i],
+  ['fellowship', /\b(fellowships?|scholarships?|post-?doc\w*|ph\.?d|jrf|srf|studentships?|internships?|chair professors?)\b/i],
+  ['award', /\b(awards?|prizes?|medals?|nominations?)\b/i],
+  ['startup_industry', /\b(start-?ups?|entrepreneur\w*|incubat\w*|industr\w*|msmes?|enterprises?|commerciali[sz]\w*|transfer of technology|technology transfer|manufactur\w*|accelerators?)\b/i],
+  ['research_grant', /./]
+];
+
+const SUBJECT_TAGS = [
+  ['biotechnology', /biotech|genom|vaccine|antibod|\bmabs?\b|molecular|\bbio\w*log/i],
+  ['health', /health|medic|clinic|disease|pathogen|vaccine|\bdrugs?\b|pharma|cancer|diagnos|point of care|\bicmr\b/i],
+  ['agriculture', /agri|\bcrops?\b|farm|\bfood\b|veterinar|livestock|fisher/i],
+  ['computing_ai', /artificial intelligence|\bai\b|machine learning|data science|comput|cyber|quantum|digital|software/i],
+  ['engineering', /engineer|manufactur|robot|electronic|mechanic|materials?\b/i],
+  ['energy', /energy|solar|\bpower\b|batter(y|ies)|hydrogen|renewable/i],
+  ['environment', /climate|environment|sustainab|\bwater\b|ecolog|biodiversity|pollution|\bocean|earth science/i],
+  ['physical_sciences', /physic|chemi|mathemat|astronom|\bspace\b|nano/i],
+  ['social_sciences', /social science|humanit|tribal|econom|education|policy|societ/i],
+  ['women_in_science', /\bwom[ae]n\b|gender|\bwise\b/i],
+  ['international', /\b(indo|india)-\w+|bilateral|international|joint call|\b(uk|german\w*|french|france|spain|singapore|japan|usa)\b/i]
+];
+
+// `context`: { inTable } when the title came from a table column headed as a
+// call/scheme/title, { hasDeadline } when a closing date was found with it
+const classifyProposal = (title, context = {}) => {
+  const text = typeof title === 'string' ? title.replace(/\s+/g, ' ').trim() : '';
+
+  if (text.length < 10 || text.split(' ').length < 2) {
+    return { isProposal: false, score: 0, reason: 'too short' };
+  }
+  if (NAVIGATION.test(text)) {
+    return { isProposal: false, score: 0, reason: 'navigation text' };
+  }
+
+  const reasons = [];
+  const penalties = [];
+  let score = 0;
+  for (const [pattern, points, reason] of SIGNALS) {
+    if (pattern.test(text)) {
+      score += points;
+      reasons.push(reason);
+    }
+  }
+  if (context.inTable) {
+    score += 2;
+    reasons.push('listed in a calls table');
+  }
+  if (context.hasDeadline) {
+    score += 1;
+    reasons.push('has a deadline');
+  }
+  if (NEWS.some(pattern => pattern.test(text))) {
+    score -= 4;
+    penalties.push('news or results item');
+  }
+  if (text.length > 250) {
+    score -= 2;
+    penalties.push('reads like a paragraph');
+  }
+
+  if (score >= MIN_SCORE) {
+    return { isProposal: true, score, reason: reasons[0] };
+  }
+  return {
+    isProposal: false,
+    score,
+    reason: penalties[0] || (reasons.length > 0 ? `weak signals only (${reasons.join(', ')})` : 'no proposal keywords')
+  };
+};
+
+const typeOf = (text) => PROPOSAL_TYPES.find(([, pattern]) => pattern.test(text))[0];
+
+const tagsOf = (text) => SUBJECT_TAGS.filter(([, pattern]) => pattern.test(text)).map(([tag]) => tag);
+
+// Type and subject tags for an accepted proposal. Eligibility text read from
+// a PDF notice, when there is one, adds to the subject tags.
+const categorizeProposal = (proposal) => ({
+  type: typeOf(proposal.title || ''),
+  tags: tagsOf([proposal.title, proposal.eligibilityText].filter(Boolean).join(' '))
+});
+
+module.exports = {
+  PROPOSAL_TYPES: PROPOSAL_TYPES.map(([type]) => type),
+  SUBJECT_TAGS: SUBJECT_TAGS.map(([tag]) => tag),
+  classifyProposal,
+  categorizeProposal
+};
@@ -0,0 +1,260 @@
+// Date extraction for call notices. Every date found gets:
+//   role        opening | last_date | extended_deadline | pre_proposal_due | unspecified
+//   confidence  0..1, lowered for ambiguous day/month order and missing context
+//   ambiguous   true when "04/05/2025" could be read either way
+// Indian agencies write day-first, so that is the default reading, and
+// deadlines are interpreted as end of day in IST.
+const IST_OFFSET = '+05:30';
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12
+};
+
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const ORDINAL = '(?:st|nd|rd|th)?';
+
+// Order matters: the first pattern to claim a span of text wins
+const DATE_PATTERNS = [
+  // 2025-03-31
+  { kind: 'iso', regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g },
+  // 15th March, 2025 / 15 Mar 2025 / 15-Mar-2025 / 15th of March 2025
+  { kind: 'dayMonthName', regex: new RegExp(`\\b(\\d{1,2})${ORDINAL}(?:\\s+of)?[\\s\\-]+${MONTH_NAME}\\.?,?[\\s\\-]+(\\d{4}|\\d{2})\\b`, 'gi') },
+  // March 15th, 2025 / Mar 15 2025
+  { kind: 'monthNameDay', regex: new RegExp(`\\b${MONTH_NAME}\\.?\\s+(\\d{1,2})${ORDINAL},?\\s+(\\d{4})\\b`, 'gi') },
+  // 31/03/2025, 31-03-2025, 31.03.2025, 31/03/25
+  { kind: 'numeric', regex: /\b(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4}|\d{2})\b/g },
+  // March 2025 (month precision only)
+  { kind: 'monthYear', regex: new RegExp(`\\b${MONTH_NAME}\\.?,?\\s+(\\d{4})\\b`, 'gi') }
+];
+
+const ROLLING_PATTERN = /\b(rolling|throughout the year|round the year|all year|open throughout|on an ongoing basis|ongoing|continuous(ly)? open|no deadline)\b/i;
+
+const PRE_PROPOSAL_PATTERN = /pre[\s-]?proposals?|letters? of intent|\bloi\b|concept notes?|short proposals?/i;
+
+// Keywords that assign a role to the date that follows them. The keyword
+// closest to the date wins.
+const ROLE_KEYWORDS = [
+  ['pre_proposal_due', new RegExp(PRE_PROPOSAL_PATTERN.source, 'gi')],
+  ['opening', /opening date|opens?( on| from)?|start(s|ing)?( date)?|launch(ed)?( on)?|commence(s|ment)?|date of (issue|publication|announcement)|published on|posted on|announced on|\bfrom\b/gi],
+  ['last_date', /last date|deadline|clos(ing|es|e)( date)?|due( date| on| by)?|\btill\b|\buntil\b|\bupto\b|\bup to\b|on or before|\bbefore\b|submission|submit|end date|\bto\b/gi]
+];
+
+const EXTENSION_PATTERN = /\b(extended|extension|revised|postponed|re-?scheduled)\b/i;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toIso = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null; // 31/02 and friends
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const fullYear = (y) => {
+  const year = parseInt(y, 10);
+  return y.length === 2 ? 2000 + year : year;
+};
+
+const monthNumber = (name) => MONTHS[name.toLowerCase().slice(0, name.toLowerCase().startsWith('sept') ? 4 : 3)];
+
+// Interpret one regex match as a calendar date
+const interpret = (kind, m) => {
+  switch (kind) {
+    case 'iso': {
+      const iso = toIso(parseInt(m[1], 10), parseInt(m[2], 10), parseInt(m[3], 10));
+      return iso && { date: iso, ambiguous: false, precision: 'day', confidence: 1 };
+    }
+    case 'dayMonthName': {
+      const iso = toIso(fullYear(m[3]), monthNumber(m[2]), parseInt(m[1], 10));
+      return iso && { date: iso, ambiguous: false, precision: 'day', confidence: 1 };
+    }
+    case 'monthNameDay': {
+      const iso = toIso(fullYear(m[3]), monthNumber(m[1]), parseInt(m[2], 10));
+      return iso && { date: iso, ambiguous: false, precision: 'day', confidence: 1 };
+    }
+    case 'numeric': {
+      const first = parseInt(m[1], 10);
+      const second = parseInt(m[2], 10);
+      const year = fullYear(m[3]);
+      const dayFirst = toIso(year, second, first);
+      const monthFirst = toIso(year, first, second);
+
+      if (dayFirst && monthFirst && first !== second) {
+        // Both readings are valid: keep the Indian day-first reading, flag it
+        return { date: dayFirst, ambiguous: true, alternative: monthFirst, precision: 'day', confidence: 0.6 };
+      }
+      if (dayFirst) return { date: dayFirst, ambiguous: false, precision: 'day', confidence: 0.95 };
+      if (monthFirst) return { date: monthFirst, ambiguous: false, precision: 'day', confidence: 0.8 };
+      return null;
+    }
+    case 'monthYear': {
+      const iso = toIso(parseInt(m[2], 10), monthNumber(m[1]), 1);
+      return iso && { date: iso, ambiguous: false, precision: 'month', confidence: 0.4 };
+    }
+    default:
+      return null;
+  }
+};
+
+// Find the role for a date from the text just before it
+const detectRole = (before, defaultRole) => {
+  let best = null;
+  for (const [role, pattern] of ROLE_KEYWORDS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(before))) {
+      const distance = before.length - (match.index + match[0].length);
+      if (!best || distance < best.distance) {
+        best = { role, distance };
+      }
+    }
+  }
+
+  let role = best && best.distance <= 60 ? best.role : defaultRole;
+  const recent = before.slice(-80);
+  // "Pre-proposal due ..." and "deadline extended to ..." qualify the nearer keyword
+  if (role === 'last_date' && PRE_PROPOSAL_PATTERN.test(recent)) {
+    role = 'pre_proposal_due';
+  } else if ((role === 'last_date' || role === 'unspecified') && EXTENSION_PATTERN.test(recent)) {
+    role = 'extended_deadline';
+  }
+  return { role, fromKeyword: Boolean(best && best.distance <= 60) };
+};
+
+// Optional time of day right after the date ("by 5:00 PM", "17:30 hrs")
+const detectTime = (after) => {
+  const match = after.slice(0, 30).match(/^[\s,(]*(?:by|upto|up to|till|at|before)?\s*(\d{1,2})[:.](\d{2})\s*(am|pm|a\.m\.|p\.m\.|hrs|hours)?/i);
+  if (!match) return null;
+  let hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  const suffix = (match[3] || '').toLowerCase().replace(/\./g, '');
+  if (suffix === 'pm' && hours < 12) hours += 12;
+  if (suffix === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59) return null;
+  return `${pad(hours)}:${pad(minutes)}`;
+};
+
+// Dates more than this many years before the page was fetched cite older
+// notices ("sanctioned vide letter dated 12/03/2019"), not this call
+const STALE_YEARS = 2;
+
+// `pageDate` is when the page was fetched (or recorded, for fixtures); dates
+// too old for it are dropped. Without it every date is kept.
+const findDates = (text, { defaultRole = 'unspecified', pageDate = null } = {}) => {
+  if (!text || typeof text !== 'string') return [];
+  const minYear = pageDate ? new Date(pageDate).getUTCFullYear() - STALE_YEARS : -Infinity;
+  const found = [];
+  const claimed = [];
+
+  for (const { kind, regex } of DATE_PATTERNS) {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text))) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (claimed.some(([s, e]) => start < e && end > s)) continue;
+
+      const parsed = interpret(kind, match);
+      if (!parsed || parseInt(parsed.date, 10) < minYear) continue;
+      claimed.push([start, end]);
+
+      const previousEnd = claimed
+        .filter(([, e]) => e <= start)
+        .reduce((max, [, e]) => Math.max(max, e), Math.max(0, start - 100));
+      const { role, fromKeyword } = detectRole(text.slice(previousEnd, start), defaultRole);
+      const time = detectTime(text.slice(end));
+
+      found.push({
+        raw: match[0],
+        index: start,
+        ...parsed,
+        role,
+        time,
+        confidence: Math.round(parsed.confidence * (fromKeyword || defaultRole !== 'unspecified' ? 1 : 0.7) * 100) / 100
+      });
+    }
+  }
+
+  return found.sort((a, b) => a.index - b.index);
+};
+
+const latest = (dates) => dates.reduce((max, d) => (!max || d.date > max.date ? d : max), null);
+const earliest = (dates) => dates.reduce((min, d) => (!min || d.date < min.date ? d : min), null);
+
+// Deadline as an instant: end of the day in IST unless a time was given
+const toIstInstant = (date, time) => date ? `${date}T${time ? `${time}:00` : '23:59:59'}${IST_OFFSET}` : null;
+
+// Summarise the dates in one proposal's own text
+const extractProposalDates = (text, options = {}) => {
+  const dates = findDates(text, options);
+  const byRole = (role) => dates.filter(d => d.role === role);
+  const unspecified = byRole('unspecified');
+
+  const deadline = latest(byRole('extended_deadline'))
+    || latest(byRole('last_date'))
+    || (unspecified.length > 0 ? latest(unspecified) : null);
+  const opening = earliest(byRole('opening'))
+    || (unspecified.length > 1 ? earliest(unspecified) : null);
+
+  return {
+    start: opening && opening !== deadline ? opening.date : null,
+    end: deadline ? deadline.date : null,
+    deadlineAt: deadline ? toIstInstant(deadline.date, deadline.time) : null,
+    extended: byRole('extended_deadline').length > 0,
+    rolling: !deadline && ROLLING_PATTERN.test(text || ''),
+    ambiguous: dates.some(d => d.ambiguous && (d === deadline || d === opening)),
+    dates: dates.map(({ index, ...rest }) => rest)
+  };
+};
+
+// Map a summary onto the proposal fields the pipeline stores
+const toProposalDates = (summary) => ({
+  startDate: summary.start || 'Not specified',
+  endDate: summary.end || (summary.rolling ? 'Rolling Deadline' : 'Not specified'),
+  dateDetails: {
+    deadlineAt: summary.deadlineAt,
+    rolling: summary.rolling,
+    extended: summary.extended,
+    ambiguous: summary.ambiguous,
+    dates: summary.dates
+  }
+});
+
+// Typed columns for a stored date text: an ISO date, "Rolling Deadline",
+// "Not specified" or raw text an older extractor could not read. Stored text
+// was already judged when it was scraped, so no date is too old here: an
+// expired call keeps its deadline.
+const DEADLINE_KINDS = ['fixed', 'rolling', 'unknown'];
+
+const storedIsoDate = (text) => {
+  const match = typeof text === 'string' && text.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return match ? toIso(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10)) : null;
+};
+
+const toDeadlineColumns = (text) => {
+  const iso = storedIsoDate(text);
+  if (iso) return { date: iso, kind: 'fixed' };
+  const summary = extractProposalDates(typeof text === 'string' ? text : '', { defaultRole: 'last_date' });
+  if (summary.end) return { date: summary.end, kind: 'fixed' };
+  return { date: null, kind: summary.rolling ? 'rolling' : 'unknown' };
+};
+
+const toOpeningDate = (text) => {
+  const iso = storedIsoDate(text);
+  if (iso) return iso;
+  const summary = extractProposalDates(typeof text === 'string' ? text : '', { defaultRole: 'opening' });
+  return summary.start || summary.end;
+};
+
+module.exports = {
+  IST_OFFSET,
+  DEADLINE_KINDS,
+  findDates,
+  extractProposalDates,
+  toProposalDates,
+  toIstInstant,
+  toDeadlineColumns,
+  toOpeningDate
+};
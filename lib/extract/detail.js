@@ -0,0 +1,216 @@
+const { JSDOM } = require('jsdom');
+const { extractProposalDates } = require('./dates');
+const { extractCallDetails, mergeCallDetails } = require('./callDetails');
+const { isPdfLink } = require('./pdf');
+
+// Listing pages only give a title, dates and a link. This stage follows a new
+// proposal's link to its own page (and, below DETAIL_MAX_DEPTH, the "more
+// details" / guidelines pages linked from there on the same site) and attaches
+// a summary, a contact email, guidelines and application form links and the
+// dates the page lists. Every value records the page it came from.
+const GUIDELINES = /guideline|scheme document|call document|call text|brochure|notification|advertisement|circular|terms of reference|instructions/i;
+const APPLICATION_FORMS = /application form|apply online|apply now|proforma|pro-forma|format for|template|submission portal|online portal|register (here|online)/i;
+const FOLLOW = /more details|read more|know more|details of the call|full call|call details|guideline|about the (call|scheme|programme)/i;
+const CONTACT = /contact|quer(y|ies)|enquir|correspondence|coordinator|programme officer|program officer/i;
+
+const BOILERPLATE = 'nav, header, footer, aside, script, style, noscript, form, [role="navigation"], .menu, .navbar, .breadcrumb';
+
+const cleanText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+// "name[at]dst[dot]gov[dot]in" is how most Indian government sites print emails
+const deobfuscate = (text) => text
+  .replace(/\s*[[(]\s*at\s*[\])]\s*/gi, '@')
+  .replace(/\s*[[(]\s*dot\s*[\])]\s*/gi, '.');
+
+const EMAIL = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const IS_EMAIL = /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/i;
+
+// Emails from mailto links first, then the page text; one mentioned next to
+// "contact" / "queries" wins over webmaster and generic site addresses
+const findContactEmail = (doc, text) => {
+  const candidates = [];
+  for (const anchor of doc.querySelectorAll('a[href^="mailto:"]')) {
+    const email = decodeURIComponent(anchor.getAttribute('href').slice(7).split('?')[0]).trim();
+    const context = cleanText(anchor.parentElement && anchor.parentElement.textContent);
+    candidates.push({ email, context });
+  }
+  const plain = deobfuscate(text);
+  for (const match of plain.matchAll(EMAIL)) {
+    candidates.push({ email: match[0], context: plain.slice(Math.max(0, match.index - 80), match.index) });
+  }
+
+  const usable = candidates
+    .map(c => ({ ...c, email: c.email.toLowerCase().replace(/\.$/, '') }))
+    .filter(c => IS_EMAIL.test(c.email) && !/^(webmaster|noreply|no-reply)@/.test(c.email));
+  const preferred = usable.find(c => CONTACT.test(c.context)) || usable[0];
+  return preferred ? preferred.email : null;
+};
+
+// The page's own description, or its first real paragraphs
+const findSummary = (doc, main) => {
+  const meta = doc.querySelector('meta[name="description"], meta[property="og:description"]');
+  const description = meta && cleanText(meta.getAttribute('content'));
+
+  const paragraphs = Array.from(main.querySelectorAll('p'))
+    .map(p => cleanText(p.textContent))
+    .filter(text => text.length >= 80 && !/cookie|copyright|all rights reserved|last updated/i.test(text));
+
+  let summary = paragraphs.slice(0, 2).join(' ');
+  if (summary.length < 80 && description && description.length >= 40) summary = description;
+  if (!summary) return null;
+  if (summary.length <= 600) return summary;
+  const cut = summary.slice(0, 600);
+  return cut.slice(0, Math.max(cut.lastIndexOf('. ') + 1, 400)).trim();
+};
+
+const linksMatching = (anchors, pattern) => anchors
+  .filter(anchor => pattern.test(anchor.title) || pattern.test(anchor.url))
+  .map(({ title, url }) => ({ title, url }));
+
+// Everything this stage reads from one detail page
+const extractDetailPage = (html, pageUrl) => {
+  const dom = new JSDOM(html, { url: pageUrl });
+  const doc = dom.window.document;
+  try {
+    const main = doc.querySelector('main, article, [role="main"], #content, .content') || doc.body;
+    if (!main) return null;
+    const fullText = cleanText(doc.body && doc.body.textContent);
+    main.querySelectorAll(BOILERPLATE).forEach(node => node.remove());
+    const text = cleanText(main.textContent);
+
+    const anchors = [];
+    const seen = new Set();
+    for (const anchor of main.querySelectorAll('a[href]')) {
+      let url;
+      try {
+        url = new URL(anchor.getAttribute('href'), pageUrl).href.replace(/#.*$/, '');
+      } catch {
+        continue;
+      }
+      if (!/^https?:/.test(url) || url === pageUrl || seen.has(url)) continue;
+      seen.add(url);
+      anchors.push({ title: cleanText(anchor.textContent) || url, url });
+    }
+
+    const host = new URL(pageUrl).hostname;
+    return {
+      text,
+      summary: findSummary(doc, main),
+      contactEmail: findContactEmail(doc, fullText),
+      guidelines: linksMatching(anchors, GUIDELINES),
+      applicationForms: linksMatching(anchors, APPLICATION_FORMS),
+      follow: anchors
+        .filter(anchor => FOLLOW.test(anchor.title) && !isPdfLink(anchor.url) && new URL(anchor.url).hostname === host)
+        .map(anchor => anchor.url)
+    };
+  } finally {
+    dom.window.close();
+  }
+};
+
+const withSource = (items, source) => items.map(item => ({ ...item, source }));
+
+const addLinks = (list, links) => {
+  for (const link of links) {
+    if (!list.some(existing => existing.url === link.url)) list.push(link);
+  }
+};
+
+// Read the pages for one proposal, breadth first up to `maxDepth`
+const readProposalPages = async (proposal, { fetchPage, maxDepth, budget, pages }) => {
+  const details = {
+    summary: null,
+    contactEmail: null,
+    guidelines: [],
+    applicationForms: [],
+    dates: [],
+    pages: []
+  };
+  let callDetails = { eligibility: null, funding: null };
+  let datesFound = null;
+  const queue = [{ url: proposal.link, depth: 1 }];
+  const visited = new Set();
+
+  while (queue.length > 0 && budget.remaining > 0) {
+    const { url, depth } = queue.shift();
+    if (visited.has(url)) continue;
+    visited.add(url);
+
+    // Aggregators point several proposals at one page; read it once per run
+    if (!pages.has(url)) {
+      budget.remaining--;
+      pages.set(url, fetchPage(url, proposal).then(response => {
+        if (!response || !response.html) return null;
+        const page = extractDetailPage(response.html, (response.metadata && response.metadata.url) || url);
+        return page && { ...page, fetchedAt: response.fetchedAt || new Date().toISOString() };
+      }));
+    }
+    const page = await pages.get(url);
+    if (!page) continue;
+
+    details.pages.push({ url, depth, fetchedAt: page.fetchedAt });
+    if (!details.summary && page.summary) details.summary = { text: page.summary, source: url };
+    if (!details.contactEmail && page.contactEmail) details.contactEmail = { value: page.contactEmail, source: url };
+    addLinks(details.guidelines, withSource(page.guidelines, url));
+    addLinks(details.applicationForms, withSource(page.applicationForms, url));
+
+    const dates = extractProposalDates(page.text, { pageDate: page.fetchedAt });
+    details.dates.push(...dates.dates.map(date => ({ ...date, source: url })));
+    if (!datesFound && (dates.end || dates.start)) datesFound = { ...dates, source: url };
+    callDetails = mergeCallDetails(callDetails, extractCallDetails(page.text));
+
+    if (depth < maxDepth) {
+      page.follow.forEach(next => queue.push({ url: next, depth: depth + 1 }));
+    }
+  }
+
+  return details.pages.length > 0 ? { details, callDetails, datesFound } : null;
+};
+
+// Enrich proposals from their own pages. `fetchPage(url, proposal)` returns
+// { html, metadata, fetchedAt } (fetchedAt defaults to now) or null when the page cannot be read (robots.txt, no
+// fixture); it is injected so the scraper can apply its host limits and
+// fixtures. PDF links are left to the PDF stage.
+const enrichFromDetailPages = async (proposals, { fetchPage, maxDepth = 1, maxPages = 40 } = {}) => {
+  const budget = { remaining: maxPages };
+  const pages = new Map();
+  let enriched = 0;
+
+  await Promise.all(proposals.map(async (proposal) => {
+    if (!proposal.link || isPdfLink(proposal.link)) return;
+
+    try {
+      const found = await readProposalPages(proposal, { fetchPage, maxDepth, budget, pages });
+      if (!found) return;
+      enriched++;
+
+      const { details, callDetails, datesFound } = found;
+      proposal.details = details;
+      Object.assign(proposal, mergeCallDetails(proposal, callDetails));
+
+      // Listing values win, as with PDF circulars; the detail page fills gaps
+      if (datesFound && datesFound.end && (!proposal.endDate || proposal.endDate === 'Not specified')) {
+        proposal.endDate = datesFound.end;
+        proposal.dateDetails = {
+          ...proposal.dateDetails,
+          deadlineAt: datesFound.deadlineAt,
+          extended: datesFound.extended,
+          ambiguous: datesFound.ambiguous,
+          source: 'detail'
+        };
+      }
+      if (datesFound && datesFound.start && (!proposal.startDate || proposal.startDate === 'Not specified')) {
+        proposal.startDate = datesFound.start;
+      }
+    } catch (error) {
+      console.warn(`    ⚠️  Could not read detail page ${proposal.link}: ${error.message}`);
+    }
+  }));
+
+  return enriched;
+};
+
+module.exports = {
+  extractDetailPage,
+  enrichFromDetailPages
+};
@@ -0,0 +1,151 @@
+const { JSDOM } = require('jsdom');
+const { extractProposalDates, toProposalDates } = require('./dates');
+const { classifyProposal } = require('./classify');
+const { extractCallDetails } = require('./callDetails');
+
+// RSS 2.0, Atom and sitemap.xml documents as a flat list of entries:
+//   { title, link, summary, published }
+// Sitemaps have no titles, so the title is read from the last URL path
+// segment ("/calls/call-for-proposals-2025" -> "Call for proposals 2025").
+// A sitemap index only lists other sitemaps; those are returned as `sitemaps`
+// and not followed, list the child sitemaps as source URLs instead.
+const text = (node) => (node ? node.textContent : '').replace(/\s+/g, ' ').trim();
+
+const child = (parent, ...names) => {
+  for (const name of names) {
+    const found = parent.getElementsByTagName(name)[0];
+    if (found) return found;
+  }
+  return null;
+};
+
+// Feed summaries are usually escaped HTML
+const htmlText = (value) => {
+  if (!value || !/<[a-z]/i.test(value)) return value || '';
+  const dom = new JSDOM(`<body>${value}</body>`);
+  const result = text(dom.window.document.body);
+  dom.window.close();
+  return result;
+};
+
+const toIsoDate = (value) => {
+  const time = Date.parse(value || '');
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+const titleFromUrl = (url) => {
+  try {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    const last = decodeURIComponent(segments[segments.length - 1] || '');
+    const words = last.replace(/\.(html?|php|aspx?)$/i, '').replace(/[-_+]+/g, ' ').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  } catch {
+    return '';
+  }
+};
+
+const parseRss = (doc) => Array.from(doc.getElementsByTagName('item')).map(item => ({
+  title: htmlText(text(child(item, 'title'))),
+  link: text(child(item, 'link')) || text(child(item, 'guid')),
+  summary: htmlText(text(child(item, 'content:encoded', 'description'))),
+  published: toIsoDate(text(child(item, 'pubDate', 'dc:date')))
+}));
+
+const atomLink = (entry) => {
+  const links = Array.from(entry.getElementsByTagName('link'));
+  const link = links.find(l => !l.getAttribute('rel') || l.getAttribute('rel') === 'alternate') || links[0];
+  return link ? link.getAttribute('href') : '';
+};
+
+const parseAtom = (doc) => Array.from(doc.getElementsByTagName('entry')).map(entry => ({
+  title: htmlText(text(child(entry, 'title'))),
+  link: atomLink(entry),
+  summary: htmlText(text(child(entry, 'summary', 'content'))),
+  published: toIsoDate(text(child(entry, 'published', 'updated')))
+}));
+
+const parseSitemap = (doc) => Array.from(doc.getElementsByTagName('url')).map(url => {
+  const loc = text(child(url, 'loc'));
+  return { title: titleFromUrl(loc), link: loc, summary: '', published: toIsoDate(text(child(url, 'lastmod'))) };
+});
+
+const parseFeed = (xml) => {
+  const dom = new JSDOM(xml, { contentType: 'text/xml' });
+  const doc = dom.window.document;
+  try {
+    const root = doc.documentElement && doc.documentElement.localName;
+    if (root === 'rss' || root === 'RDF') return { format: 'rss', entries: parseRss(doc) };
+    if (root === 'feed') return { format: 'atom', entries: parseAtom(doc) };
+    if (root === 'urlset') return { format: 'sitemap', entries: parseSitemap(doc) };
+    if (root === 'sitemapindex') {
+      return { format: 'sitemapindex', entries: [], sitemaps: Array.from(doc.getElementsByTagName('loc')).map(text) };
+    }
+    throw new Error(`Not an RSS, Atom or sitemap document (<${root}>)`);
+  } finally {
+    dom.window.close();
+  }
+};
+
+const resolveLink = (link, pageUrl) => {
+  try {
+    return new URL(link, pageUrl).href;
+  } catch {
+    return null;
+  }
+};
+
+const matchesKeywords = (value, keywords) =>
+  keywords.some(keyword => value.toLowerCase().includes(keyword.toLowerCase()));
+
+// Feed entries as proposals. Entries go through the same classifier as
+// scraped pages; `include` / `exclude` are plain keywords matched against the
+// title and link, and entries older than `maxAgeDays` before `pageDate` (when
+// the feed was fetched, default now) are skipped.
+const extractProposalsFromFeed = (xml, pageUrl, options = {}) => {
+  const { agency = 'Unknown Agency', include = [], exclude = [], maxAgeDays = 365, pageDate = null } = options;
+  const { format, entries, sitemaps } = parseFeed(xml);
+  if (sitemaps) {
+    console.warn(`    ⚠️  ${pageUrl} is a sitemap index; list its child sitemaps as source URLs (${sitemaps.slice(0, 3).join(', ')})`);
+  }
+
+  const oldest = (pageDate ? Date.parse(pageDate) : Date.now()) - maxAgeDays * 24 * 60 * 60 * 1000;
+  const proposals = new Map();
+
+  for (const entry of entries) {
+    const link = resolveLink(entry.link, pageUrl);
+    if (!entry.title || !link) continue;
+    if (entry.published && Date.parse(entry.published) < oldest) continue;
+    const haystack = `${entry.title} ${link}`;
+    if (include.length > 0 && !matchesKeywords(haystack, include)) continue;
+    if (exclude.length > 0 && matchesKeywords(haystack, exclude)) continue;
+
+    const body = `${entry.title}. ${entry.summary}`;
+    const dates = extractProposalDates(body, { pageDate });
+    const { isProposal, reason } = classifyProposal(entry.title, { hasDeadline: Boolean(dates.end) });
+    if (!isProposal) {
+      if (format !== 'sitemap') console.log(`    🚫 Skipped "${entry.title.substring(0, 60)}": ${reason}`);
+      continue;
+    }
+
+    const proposal = {
+      title: entry.title,
+      agency,
+      ...toProposalDates(dates),
+      ...extractCallDetails(body),
+      link,
+      extractedAt: new Date().toISOString()
+    };
+    // The post date is the best opening date a feed gives us
+    if (proposal.startDate === 'Not specified' && entry.published) {
+      proposal.startDate = entry.published.slice(0, 10);
+    }
+    if (!proposals.has(link)) proposals.set(link, proposal);
+  }
+
+  return Array.from(proposals.values());
+};
+
+module.exports = {
+  parseFeed,
+  extractProposalsFromFeed
+};
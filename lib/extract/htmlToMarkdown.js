@@ -0,0 +1,39 @@
+const TurndownService = require('turndown');
+const { gfm } = require('turndown-plugin-gfm');
+
+// Convert rendered HTML into the same markdown shape Firecrawl returns, so the
+// markdown extractors work on pages we fetched or saved ourselves.
+const createTurndown = () => {
+  const turndown = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-'
+  });
+  turndown.use(gfm);
+  turndown.remove(['script', 'style', 'noscript', 'iframe', 'svg']);
+  return turndown;
+};
+
+let turndown = null;
+
+const htmlToMarkdown = (html, baseUrl) => {
+  if (!html) return '';
+  if (!turndown) turndown = createTurndown();
+
+  // Resolve relative links first, otherwise they are dropped by shouldSkipLink
+  let source = html;
+  if (baseUrl) {
+    source = html.replace(/(href|src)=(["'])([^"']+)\2/gi, (match, attr, quote, value) => {
+      if (/^(https?:|mailto:|tel:|javascript:|#)/i.test(value)) return match;
+      try {
+        return `${attr}=${quote}${new URL(value, baseUrl).href}${quote}`;
+      } catch {
+        return match;
+      }
+    });
+  }
+
+  return turndown.turndown(source);
+};
+
+module.exports = { htmlToMarkdown };
@@ -0,0 +1,31 @@
+const { extractProposalsFromMarkdown } = require('./markdown');
+const { extractProposalsFromHtml } = require('./table');
+const { classifyProposal } = require('./classify');
+
+// Table rows sit under a title/scheme column, so the classifier gives them
+// credit for that; it still drops result notices and other non-calls
+const isTableProposal = (proposal) => classifyProposal(proposal.title, {
+  inTable: true,
+  hasDeadline: Boolean(proposal.dateDetails && proposal.dateDetails.deadlineAt)
+}).isProposal;
+
+// Extract proposals from a fetched page ({ url, markdown, html, fetchedAt }). Real <table> rows are the most
+// reliable signal, so the DOM path wins whenever the page has usable tables;
+// the markdown heuristics are only the fallback for list-style pages.
+//   resolveAgency(contextText, title, { columns })  markdown path
+//   resolveTableAgency(agencyCell, title, { row })  DOM path (defaults to resolveAgency)
+const extractProposals = (page, options = {}) => {
+  const { resolveAgency, resolveTableAgency = resolveAgency, allowSameHost } = options;
+  const pageDate = page.fetchedAt || null;
+
+  if (page.html) {
+    const fromTables = extractProposalsFromHtml(page.html, page.url, { resolveAgency: resolveTableAgency, pageDate })
+      .filter(isTableProposal);
+    if (fromTables.length > 0) return fromTables;
+  }
+
+  if (!page.markdown) return [];
+  return extractProposalsFromMarkdown(page.markdown, page.url, { resolveAgency, allowSameHost, pageDate });
+};
+
+module.exports = { extractProposals, isTableProposal };
@@ -0,0 +1,164 @@
+const { extractProposalDates, toProposalDates } = require('./dates');
+const { classifyProposal } = require('./classify');
+const { extractCallDetails } = require('./callDetails');
+
+// ✅ IMPROVED: Check if a title looks like a valid research proposal using the
+// scoring classifier instead of a bare keyword list (see lib/extract/classify.js)
+const isValidProposal = (title) => classifyProposal(title).isProposal;
+
+// ✅ IMPROVED: Better link validation with malformed link detection
+// Aggregator sources link to other sites' pages, so they keep same-host links.
+// PDF circulars are kept even on the agency's own host: they are read later
+// by the PDF stage (lib/extract/pdf.js).
+const shouldSkipLink = (link, srcUrl, { allowSameHost = false } = {}) => {
+  if (!link || typeof link !== 'string') return true;
+
+  // ✅ NEW: Skip malformed links with markdown artifacts
+  if (link.includes('](') || link.includes('![') || link.includes(')**[')) {
+    return true;
+  }
+
+  // Skip incomplete or malformed URLs
+  if (!link.startsWith('http') || link.includes('...')) {
+    return true;
+  }
+
+  const isPdf = /\.pdf($|[?#])/i.test(link);
+
+  try {
+    // Skip internal links for non-aggregator sites
+    if (!allowSameHost && !isPdf) {
+      const srcDomain = new URL(srcUrl).hostname;
+      const linkDomain = new URL(link).hostname;
+      if (srcDomain === linkDomain) return true;
+    }
+  } catch {
+    return true; // Invalid URL
+  }
+
+  // Skip obviously non-proposal links
+  const skipPatterns = [
+    '/contact', '/about', '/home', '/login', '/register', '/sitemap',
+    '.jpg', '.png', '.gif', '.doc', '.docx', '.xls', '.xlsx',
+    'mailto:', 'tel:', 'javascript:', '#',
+    'facebook.com', 'twitter.com', 'linkedin.com', 'instagram.com', 'youtube.com'
+  ];
+
+  return skipPatterns.some(pattern => link.toLowerCase().includes(pattern));
+};
+
+// A proposal's own text: its line plus any continuation lines, stopping at
+// the next list item, heading, table row or link so neighbouring proposals'
+// dates are never mixed in
+const isBlockBoundary = (line) => !line || /^([-*+]\s|\d+[.)]\s|#|\|)/.test(line) || /\]\(https?:/.test(line);
+
+const blockFromLines = (lines, index, maxExtra = 3) => {
+  const block = [lines[index]];
+  for (let i = index + 1; i < lines.length && block.length <= maxExtra; i++) {
+    const line = lines[i].trim();
+    if (isBlockBoundary(line)) break;
+    block.push(line);
+  }
+  return block.join(' ');
+};
+
+// Lines Pattern 2 must not take as titles: markdown links, which Pattern 1
+// already judged, and description prose under a call (several sentences, or
+// one long sentence ending in a full stop). Abbreviations like "Dr." or
+// "Prof." do not end a sentence.
+const SENTENCE_BREAK = /\b(?!(?:prof|govt|dept|univ|inst|natl)\b)[\p{L}\p{N}]{4,}[.!?]\s+\p{Lu}/iu;
+
+const isLinkOrProse = (line) => /\]\(https?:/.test(line)
+  || SENTENCE_BREAK.test(line)
+  || (/\.$/.test(line) && line.split(/\s+/).length >= 6);
+
+const lineIndexAt = (md, offset) => md.slice(0, offset).split('\n').length - 1;
+
+const buildProposal = (title, agency, link, blockText, pageDate) => ({
+  title,
+  agency,
+  ...toProposalDates(extractProposalDates(blockText, { pageDate })),
+  ...extractCallDetails(blockText),
+  link,
+  extractedAt: new Date().toISOString()
+});
+
+// Extract proposals from a markdown page. Agency attribution is delegated to the
+// source adapter through `resolveAgency(contextText, title, { columns })`.
+const extractProposalsFromMarkdown = (md, srcUrl, options = {}) => {
+  const {
+    resolveAgency = () => 'Unknown Agency',
+    allowSameHost = false,
+    pageDate = null
+  } = options;
+  const proposals = new Map(); // Use Map to prevent duplicates
+  const skip = (link) => shouldSkipLink(link, srcUrl, { allowSameHost });
+  const lines = md.split('\n');
+
+  // Pattern 1: Standard markdown links
+  const linkRegex = /\[(.+?)\]\((https?:\/\/[^\s)]+)\)/g;
+  let match;
+  while ((match = linkRegex.exec(md))) {
+    const [, title, link] = match;
+    if (isValidProposal(title) && !skip(link)) {
+      const block = blockFromLines(lines, lineIndexAt(md, match.index));
+      const agency = resolveAgency(md, title, {});
+      const key = `${title.trim()}|${link}`;
+
+      if (!proposals.has(key)) {
+        proposals.set(key, buildProposal(title.trim(), agency, link, block, pageDate));
+      }
+    }
+  }
+
+  // ✅ IMPROVED: Pattern 2 with better agency extraction for table-like content
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!isLinkOrProse(line) && isValidProposal(line)) {
+      // Look for URLs in nearby lines (context window)
+      const contextLines = lines.slice(Math.max(0, i-3), Math.min(lines.length, i+4));
+      const contextText = contextLines.join(' ');
+      const urls = contextText.match(/https?:\/\/[^\s)]+/g) || [];
+
+      for (const url of urls) {
+        if (!skip(url)) {
+          const agency = resolveAgency(contextText, line, {});
+          const key = `${line.trim()}|${url}`;
+
+          if (!proposals.has(key)) {
+            proposals.set(key, buildProposal(line.trim(), agency, url, blockFromLines(lines, i), pageDate));
+            break; // Only take first valid URL per proposal
+          }
+        }
+      }
+    }
+  }
+
+  // ✅ IMPROVED: Pattern 3 - Enhanced table parsing with proper agency extraction
+  const tableRegex = /\|([^|]+)\|([^|]*)\|([^|]*)\|([^|]*)\|([^|]*)/g;
+  while ((match = tableRegex.exec(md))) {
+    const [, col1, col2, col3, col4, col5] = match.map(s => s.trim());
+
+    const columns = [col1, col2, col3, col4, col5].filter(Boolean);
+    const titleCol = columns.find(col => isValidProposal(col));
+    const urlCol = columns.find(col => col.match(/https?:\/\//));
+
+    if (titleCol && urlCol && !skip(urlCol)) {
+      const allText = columns.join(' ');
+      const agency = resolveAgency(allText, titleCol, { columns });
+      const key = `${titleCol.trim()}|${urlCol.trim()}`;
+
+      if (!proposals.has(key)) {
+        proposals.set(key, buildProposal(titleCol.trim(), agency, urlCol.trim(), allText, pageDate));
+      }
+    }
+  }
+
+  return Array.from(proposals.values());
+};
+
+module.exports = {
+  isValidProposal,
+  shouldSkipLink,
+  extractProposalsFromMarkdown
+};
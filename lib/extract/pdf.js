@@ -0,0 +1,152 @@
+const { PDFParse } = require('pdf-parse');
+const { getFetcher } = require('../fetchers');
+const { extractProposalDates } = require('./dates');
+const { extractEligibility, extractFunding, mergeCallDetails } = require('./callDetails');
+
+// DST, DBT and ICMR publish most calls only as PDF circulars. This stage
+// downloads the linked PDF, pulls its text, and fills in what the listing
+// page could not tell us (dates, eligibility, funding), recording the PDF as the
+// proposal's source document.
+const MAX_PDF_BYTES = 15 * 1024 * 1024;
+const PDF_TIMEOUT = 30000;
+
+const isPdfLink = (link) => {
+  if (!link || typeof link !== 'string') return false;
+  try {
+    return new URL(link).pathname.toLowerCase().endsWith('.pdf');
+  } catch {
+    return /\.pdf($|[?#])/i.test(link);
+  }
+};
+
+// Through the http fetch backend, so the request carries the crawler's
+// User-Agent like every other page we fetch. robots.txt and per-host limits
+// are the caller's (see fetchPdf in scraper.js).
+const downloadPdf = async (url, { timeout = PDF_TIMEOUT, maxBytes = MAX_PDF_BYTES } = {}) => {
+  const response = await getFetcher('http').fetch(url, { timeout, maxBytes, binary: true });
+  if (!response.success) {
+    throw new Error(response.error);
+  }
+  return response.buffer;
+};
+
+// Text-based PDFs only; scanned circulars come back (nearly) empty
+const extractPdfText = async (buffer) => {
+  if (!buffer || buffer.subarray(0, 5).toString() !== '%PDF-') {
+    throw new Error('Not a PDF document');
+  }
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText();
+    return { text: result.text || '', pages: result.total || (result.pages || []).length };
+  } finally {
+    await parser.destroy();
+  }
+};
+
+// Pull the eligibility section: the lines following an "Eligibility" heading,
+// up to the next heading-looking line
+const extractEligibilityText = (text) => {
+  const lines = text.split('\n').map(line => line.trim());
+  const start = lines.findIndex(line => /^(\d+[.)]\s*)?eligib(le|ility)\b/i.test(line) || /^who (can|may) apply/i.test(line));
+  if (start === -1) return null;
+
+  const section = [];
+  for (let i = start + 1; i < lines.length && section.length < 15; i++) {
+    const line = lines[i];
+    if (!line) continue;
+    // Next numbered or title-case heading ends the section
+    if (section.length > 0 && /^(\d+[.)]\s+)?[A-Z][A-Za-z &/]{2,40}:?$/.test(line) && !/[.,;]$/.test(line)) break;
+    section.push(line);
+  }
+  const joined = section.join(' ').replace(/\s+/g, ' ').trim();
+  return joined ? joined.slice(0, 1000) : null;
+};
+
+// Structured eligibility comes from the eligibility section when the PDF has
+// one, so career stages named elsewhere in the circular are not picked up
+const summarisePdf = (text, { pageDate = null } = {}) => {
+  const eligibility = extractEligibilityText(text);
+  return {
+    dates: extractProposalDates(text, { pageDate }),
+    eligibility,
+    callDetails: {
+      eligibility: extractEligibility(eligibility || text),
+      funding: extractFunding(text)
+    }
+  };
+};
+
+// Fill in proposals whose link points at a PDF. `download(url)` returns a Buffer;
+// it is injected so the scraper can route it through fixtures. At most
+// `maxPdfs` are tried; returns how many were read. `pageDate` is when the
+// listing page was fetched.
+const enrichFromPdfs = async (proposals, { download = downloadPdf, maxPdfs = 25, pageDate = null } = {}) => {
+  let attempted = 0;
+  let read = 0;
+
+  for (const proposal of proposals) {
+    if (!isPdfLink(proposal.link) || attempted >= maxPdfs) continue;
+    attempted++;
+
+    try {
+      const buffer = await download(proposal.link);
+      const { text, pages } = await extractPdfText(buffer);
+      const details = summarisePdf(text, { pageDate });
+
+      proposal.sourceDocument = {
+        type: 'pdf',
+        url: proposal.link,
+        pages,
+        characters: text.length,
+        fetchedAt: new Date().toISOString()
+      };
+
+      // Listing-page values win; the PDF only fills the gaps, and a rolling
+      // listing has none. An extension notice in the circular is the
+      // exception: it supersedes the listing. The listing's deadline is read
+      // from its structured dates, not from the endDate label.
+      const { dates } = details;
+      const listing = proposal.dateDetails || {};
+      const listingDeadline = listing.deadlineAt ? proposal.endDate : null;
+      const supersedes = listingDeadline
+        ? dates.extended && dates.end > listingDeadline
+        : !listing.rolling;
+      if (dates.end && supersedes) {
+        proposal.endDate = dates.end;
+        proposal.dateDetails = {
+          ...proposal.dateDetails,
+          deadlineAt: dates.deadlineAt,
+          extended: dates.extended,
+          ambiguous: dates.ambiguous,
+          source: 'pdf'
+        };
+      }
+      if ((!proposal.startDate || proposal.startDate === 'Not specified') && dates.start) {
+        proposal.startDate = dates.start;
+      }
+      proposal.dateDetails = {
+        ...proposal.dateDetails,
+        dates: [...((proposal.dateDetails && proposal.dateDetails.dates) || []), ...dates.dates.map(d => ({ ...d, source: 'pdf' }))]
+      };
+      if (details.eligibility) {
+        proposal.eligibilityText = details.eligibility;
+      }
+      Object.assign(proposal, mergeCallDetails(proposal, details.callDetails));
+      read++;
+    } catch (error) {
+      console.warn(`    ⚠️  Could not read PDF ${proposal.link}: ${error.message}`);
+    }
+  }
+
+  return read;
+};
+
+module.exports = {
+  isPdfLink,
+  downloadPdf,
+  extractPdfText,
+  extractEligibilityText,
+  summarisePdf,
+  enrichFromPdfs
+};
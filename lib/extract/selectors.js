@@ -0,0 +1,186 @@
+const { JSDOM } = require('jsdom');
+const { parse, format, isValid } = require('date-fns');
+const { extractProposalDates, toProposalDates, toIstInstant } = require('./dates');
+const { extractCallDetails } = require('./callDetails');
+const { findHeaderRow, cellText, resolveLink, firstLink, rowDates } = require('./table');
+
+// Extraction driven by a source definition instead of heuristics (see
+// lib/sources/configSource.js). Two layouts are supported:
+//   table  rows of the tables matching `table`, with `columns` mapping fields
+//          to a 0-based column index or to text in the column's header
+//   list   every element matching `items`, with `fields` mapping fields to
+//          CSS selectors inside it; "a.more@href" reads an attribute and a
+//          bare "@href" reads it from the item itself
+// Fields: title (required), link, startDate, endDate, agency.
+
+// "dd/MM/yyyy" style date-fns formats, tried on the whole cell and then on
+// every run of up to four words in it ("Last date: 15/03/2025 (5 PM)")
+const parseWithFormats = (text, formats = []) => {
+  if (!text || formats.length === 0) return null;
+  const words = text.replace(/\s+/g, ' ').trim().split(' ');
+  const candidates = [words.join(' ')];
+  for (let size = Math.min(4, words.length); size >= 1; size--) {
+    for (let start = 0; start + size <= words.length; start++) {
+      candidates.push(words.slice(start, start + size).join(' ').replace(/^[^\w]+|[^\w]+$/g, ''));
+    }
+  }
+
+  const reference = new Date(2000, 0, 1);
+  for (const candidate of candidates) {
+    for (const dateFormat of formats) {
+      const date = parse(candidate, dateFormat, reference);
+      if (isValid(date) && date.getFullYear() >= 2000 && date.getFullYear() < 2100) {
+        return format(date, 'yyyy-MM-dd');
+      }
+    }
+  }
+  return null;
+};
+
+// The source's own formats win; anything they do not match goes through the
+// generic date reader, as for auto-detected tables
+const readDates = (startText, endText, dateFormats, pageDate) => {
+  const dates = rowDates(startText, endText, pageDate);
+  const start = parseWithFormats(startText, dateFormats);
+  const end = parseWithFormats(endText, dateFormats);
+  if (start) dates.startDate = start;
+  // A differing reading replaces the generic one, and with it any time of day
+  if (end && end !== dates.endDate) {
+    dates.endDate = end;
+    dates.dateDetails = { ...dates.dateDetails, deadlineAt: toIstInstant(end), rolling: false, ambiguous: false };
+  }
+  return dates;
+};
+
+// Column spec -> index, by position or by header text
+const columnIndex = (spec, headerCells) => {
+  if (spec === undefined || spec === null) return undefined;
+  if (Number.isInteger(spec)) return spec;
+  const wanted = String(spec).toLowerCase();
+  const index = headerCells.findIndex(cell => cellText(cell).toLowerCase().includes(wanted));
+  return index === -1 ? null : index;
+};
+
+const FIELDS = ['title', 'link', 'startDate', 'endDate', 'agency'];
+
+const extractFromTables = (doc, pageUrl, spec, { resolveAgency, dateFormats, pageDate }) => {
+  const proposals = [];
+  const byPosition = Object.values(spec.columns).every(Number.isInteger);
+
+  for (const table of doc.querySelectorAll(spec.table || 'table')) {
+    const rows = Array.from(table.querySelectorAll('tr'));
+    // Tables mapped purely by position may have no header row at all
+    const headerRow = byPosition ? rows.find(row => row.querySelector('th')) : findHeaderRow(rows);
+    const headerCells = headerRow ? Array.from(headerRow.children) : [];
+
+    const columns = {};
+    FIELDS.forEach(field => { columns[field] = columnIndex(spec.columns[field], headerCells); });
+    const missing = FIELDS.filter(field => columns[field] === null);
+    if (missing.length > 0) {
+      console.log(`    ⚠️  Skipped a table without the ${missing.join(', ')} column(s) on ${pageUrl}`);
+      continue;
+    }
+
+    for (const row of rows) {
+      if (row === headerRow) continue;
+      const cells = Array.from(row.children);
+      const cellAt = (field) => columns[field] === undefined ? null : cells[columns[field]];
+      const textAt = (field) => cellAt(field) ? cellText(cellAt(field)) : '';
+
+      const title = textAt('title');
+      const link = firstLink(cellAt('link'), pageUrl) || firstLink(cellAt('title'), pageUrl) || firstLink(row, pageUrl);
+      if (!title || title.length < 5 || !link) continue;
+
+      const texts = cells.map(cellText);
+      proposals.push({
+        title,
+        agency: resolveAgency(textAt('agency'), title, { row: texts }),
+        ...readDates(textAt('startDate'), textAt('endDate'), dateFormats, pageDate),
+        ...extractCallDetails(texts.join(' ')),
+        link
+      });
+    }
+  }
+  return proposals;
+};
+
+// "h3 a@href" -> { selector: 'h3 a', attribute: 'href' }
+const parseField = (spec) => {
+  const at = spec.lastIndexOf('@');
+  if (at === -1 || /[\]'"]/.test(spec.slice(at))) return { selector: spec.trim(), attribute: null };
+  return { selector: spec.slice(0, at).trim(), attribute: spec.slice(at + 1).trim() };
+};
+
+const fieldNode = (item, spec) => {
+  const { selector, attribute } = parseField(spec);
+  return { node: selector ? item.querySelector(selector) : item, attribute };
+};
+
+const fieldText = (item, spec) => {
+  if (!spec) return '';
+  const { node, attribute } = fieldNode(item, spec);
+  if (!node) return '';
+  return attribute ? (node.getAttribute(attribute) || '').trim() : cellText(node);
+};
+
+const fieldLink = (item, spec, pageUrl) => {
+  const { node, attribute } = fieldNode(item, spec);
+  if (!node) return null;
+  if (attribute) return resolveLink(node.getAttribute(attribute), pageUrl);
+  if (node.matches('a[href]')) return resolveLink(node.getAttribute('href'), pageUrl);
+  return firstLink(node, pageUrl);
+};
+
+const extractFromList = (doc, pageUrl, spec, { resolveAgency, dateFormats, pageDate }) => {
+  const { fields } = spec;
+  const proposals = [];
+
+  for (const item of doc.querySelectorAll(spec.items)) {
+    const title = fieldText(item, fields.title);
+    const titleNode = fieldNode(item, fields.title).node;
+    const link = (fields.link && fieldLink(item, fields.link, pageUrl))
+      || (titleNode && titleNode.matches('a[href]') ? resolveLink(titleNode.getAttribute('href'), pageUrl) : null)
+      || firstLink(item, pageUrl);
+    if (!title || title.length < 5 || !link) continue;
+
+    const itemText = cellText(item);
+    const dates = fields.startDate || fields.endDate
+      ? readDates(fieldText(item, fields.startDate), fieldText(item, fields.endDate), dateFormats, pageDate)
+      : toProposalDates(extractProposalDates(itemText, { pageDate }));
+
+    proposals.push({
+      title,
+      agency: resolveAgency(fieldText(item, fields.agency), title, { row: [itemText] }),
+      ...dates,
+      ...extractCallDetails(itemText),
+      link
+    });
+  }
+  return proposals;
+};
+
+// Proposals for one page; the first row or item wins for a repeated title and link
+const extractWithSelectors = (page, spec, options = {}) => {
+  const { resolveAgency = (text) => text || 'Unknown Agency', dateFormats = [] } = options;
+  if (!page.html) return [];
+
+  const dom = new JSDOM(page.html, { url: page.url });
+  try {
+    const extract = spec.type === 'list' ? extractFromList : extractFromTables;
+    const proposals = new Map();
+    const pageDate = page.fetchedAt || null;
+    for (const proposal of extract(dom.window.document, page.url, spec, { resolveAgency, dateFormats, pageDate })) {
+      const key = `${proposal.title}|${proposal.link}`;
+      if (!proposals.has(key)) proposals.set(key, { ...proposal, extractedAt: new Date().toISOString() });
+    }
+    return Array.from(proposals.values());
+  } finally {
+    dom.window.close();
+  }
+};
+
+module.exports = {
+  parseWithFormats,
+  parseField,
+  extractWithSelectors
+};
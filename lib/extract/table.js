@@ -0,0 +1,141 @@
+const { JSDOM } = require('jsdom');
+const { extractProposalDates, toProposalDates } = require('./dates');
+const { extractCallDetails } = require('./callDetails');
+
+// Header text -> proposal field. Checked in order, first match wins, so the
+// more specific patterns come first ("Last Date" must not become a title).
+const HEADER_FIELDS = [
+  ['link', /^(link|links|url|details|more details|apply|apply online|website|download)$/i],
+  ['endDate', /(deadline|last date|closing|due date|end date|^to$|^till$|^upto$|^up to$)/i],
+  ['startDate', /(opening|start date|launch|posted|published|^from$|^date of issue$)/i],
+  ['agency', /(agency|department|ministry|organi[sz]ation|funder|funding body|council)/i],
+  ['title', /(title|scheme|programme|program|call|subject|name|description|opportunit|fellowship|award|notice)/i]
+];
+
+const cellText = (cell) => (cell.textContent || '').replace(/\s+/g, ' ').trim();
+
+const mapHeaderCells = (cells) => {
+  const columns = {};
+  cells.forEach((cell, index) => {
+    const text = cellText(cell);
+    if (!text) return;
+    const match = HEADER_FIELDS.find(([field, pattern]) => columns[field] === undefined && pattern.test(text));
+    if (match) columns[match[0]] = index;
+  });
+  return columns;
+};
+
+// The header is the first row made of <th> cells, or failing that the first row
+const findHeaderRow = (rows) => {
+  const thRow = rows.find(row => row.querySelector('th'));
+  return thRow || rows[0] || null;
+};
+
+const resolveLink = (href, pageUrl) => {
+  if (!href) return null;
+  const trimmed = href.trim();
+  if (/^(mailto:|tel:|javascript:|#)/i.test(trimmed)) return null;
+  try {
+    return new URL(trimmed, pageUrl).href;
+  } catch {
+    return null;
+  }
+};
+
+const firstLink = (cell, pageUrl) => {
+  if (!cell) return null;
+  for (const anchor of cell.querySelectorAll('a[href]')) {
+    const link = resolveLink(anchor.getAttribute('href'), pageUrl);
+    if (link) return link;
+  }
+  // Some sites print the URL as plain text in the link column
+  const text = cellText(cell).match(/https?:\/\/\S+/);
+  return text ? resolveLink(text[0], pageUrl) : null;
+};
+
+// Dates come only from this row's date cells; the column decides the default
+// role, while wording inside the cell ("extended to ...") can still override it
+const rowDates = (startText, endText, pageDate) => {
+  const opening = extractProposalDates(startText || '', { defaultRole: 'opening', pageDate });
+  const closing = extractProposalDates(endText || '', { defaultRole: 'last_date', pageDate });
+  const rolling = !closing.end && /^\s*(open|rolling|ongoing|throughout the year|round the year)\b/i.test(endText || '');
+
+  return toProposalDates({
+    start: opening.start || opening.end,
+    end: closing.end,
+    deadlineAt: closing.deadlineAt,
+    extended: closing.extended,
+    rolling: closing.rolling || rolling,
+    ambiguous: opening.ambiguous || closing.ambiguous,
+    dates: [...opening.dates, ...closing.dates]
+  });
+};
+
+// Read proposals out of every <table> whose header names at least a title
+// column and a link or deadline column. Each field comes from its own row.
+const extractProposalsFromHtml = (html, pageUrl, options = {}) => {
+  const { resolveAgency = (text) => text || 'Unknown Agency', pageDate = null } = options;
+  if (!html) return [];
+
+  const dom = new JSDOM(html, { url: pageUrl });
+  const doc = dom.window.document;
+  const proposals = new Map();
+
+  for (const table of doc.querySelectorAll('table')) {
+    const rows = Array.from(table.querySelectorAll('tr'));
+    const headerRow = findHeaderRow(rows);
+    if (!headerRow) continue;
+
+    const columns = mapHeaderCells(Array.from(headerRow.children));
+    if (columns.title === undefined || (columns.link === undefined && columns.endDate === undefined)) {
+      continue;
+    }
+
+    for (const row of rows) {
+      if (row === headerRow) continue;
+      const cells = Array.from(row.children);
+      const cellAt = (field) => columns[field] === undefined ? null : cells[columns[field]];
+
+      const title = cellAt('title') ? cellText(cellAt('title')) : '';
+      if (!title || title.length < 5) continue;
+
+      // Prefer the link column, then a link on the title itself, then any link in the row
+      const link = firstLink(cellAt('link'), pageUrl)
+        || firstLink(cellAt('title'), pageUrl)
+        || firstLink(row, pageUrl);
+      if (!link) continue;
+
+      const agencyText = cellAt('agency') ? cellText(cellAt('agency')) : '';
+      const key = `${title}|${link}`;
+
+      if (!proposals.has(key)) {
+        const texts = cells.map(cellText);
+        proposals.set(key, {
+          title,
+          agency: resolveAgency(agencyText, title, { row: texts }),
+          ...rowDates(
+            cellAt('startDate') && cellText(cellAt('startDate')),
+            cellAt('endDate') && cellText(cellAt('endDate')),
+            pageDate
+          ),
+          ...extractCallDetails(texts.join(' ')),
+          link,
+          extractedAt: new Date().toISOString()
+        });
+      }
+    }
+  }
+
+  dom.window.close();
+  return Array.from(proposals.values());
+};
+
+module.exports = {
+  extractProposalsFromHtml,
+  mapHeaderCells,
+  findHeaderRow,
+  cellText,
+  resolveLink,
+  firstLink,
+  rowDates
+};
@@ -0,0 +1,92 @@
+const FirecrawlApp = require('@mendable/firecrawl-js').default;
+
+// Firecrawl backend: remote rendering through the hosted API (needs FIRECRAWL_API_KEY)
+// Read lazily so dotenv has been loaded by the time the first page is fetched
+const getApiKey = () => process.env.FIRECRAWL_API_KEY || "fc-10416197150e44ab9b23bd51b37490a5";
+
+let app = null;
+const getApp = () => {
+  if (!app) {
+    if (!getApiKey()) {
+      throw new Error('FIRECRAWL_API_KEY environment variable is required');
+    }
+    app = new FirecrawlApp({ apiKey: getApiKey() });
+  }
+  return app;
+};
+
+// Options understood by the Firecrawl API; anything else in fetchOptions is
+// meant for other backends
+const FIRECRAWL_OPTIONS = ['formats', 'onlyMainContent', 'timeout', 'waitFor', 'skipTlsVerification', 'includeTags', 'excludeTags', 'headers'];
+
+const pickOptions = (options = {}) =>
+  Object.fromEntries(Object.entries(options).filter(([key]) => FIRECRAWL_OPTIONS.includes(key)));
+
+const fetchPage = async (url, options = {}) => {
+  try {
+    const response = await getApp().scrapeUrl(url, pickOptions(options));
+
+    if (!response.success) {
+      return { success: false, backend: 'firecrawl', error: response.error || 'Response not successful' };
+    }
+
+    const data = response.data || response;
+    return {
+      success: true,
+      backend: 'firecrawl',
+      status: data.metadata?.statusCode || 200,
+      markdown: data.markdown || null,
+      html: data.html || data.rawHtml || null,
+      metadata: data.metadata || {}
+    };
+  } catch (error) {
+    // Handle 401 authentication errors explicitly, retrying will not help
+    if (error.response?.status === 401 || error.message.includes('401')) {
+      return {
+        success: false,
+        backend: 'firecrawl',
+        status: 401,
+        fatal: true,
+        error: '🔑 Firecrawl authentication failed. Check API key.'
+      };
+    }
+    return { success: false, backend: 'firecrawl', status: error.response?.status, error: error.message };
+  }
+};
+
+// Test API key validity
+const verify = async () => {
+  try {
+    console.log('🔑 Testing Firecrawl API key...');
+    console.log('🔑 Using Firecrawl API Key:', getApiKey().substring(0, 8) + '...');
+
+    const testResponse = await getApp().scrapeUrl('https://example.com', {
+      formats: ['markdown'],
+      onlyMainContent: true,
+      timeout: 10000,
+      skipTlsVerification: true
+    });
+
+    if (testResponse.success) {
+      console.log('✅ Firecrawl API key is valid and working');
+      return true;
+    } else {
+      console.error('❌ Firecrawl API test failed:', testResponse.error);
+      console.error('💡 Please check your API key at: https://firecrawl.dev/dashboard');
+      return false;
+    }
+  } catch (error) {
+    console.error('❌ Firecrawl API key test error:', error.message);
+    if (error.message.includes('401')) {
+      console.error('💡 API key appears to be invalid or expired');
+    }
+    return false;
+  }
+};
+
+module.exports = {
+  name: 'firecrawl',
+  fetch: fetchPage,
+  verify,
+  close: async () => {}
+};
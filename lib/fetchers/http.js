@@ -0,0 +1,71 @@
+const { htmlToMarkdown } = require('../extract/htmlToMarkdown');
+const { USER_AGENT } = require('../crawl');
+
+// Plain HTTP backend for static pages: no rendering, but the cheapest on the
+// agency servers and the only backend that supports conditional requests.
+// options.validators ({ etag, lastModified }) turn the request into a
+// conditional GET; a 304 comes back as { success: true, notModified: true }.
+// options.binary returns the body as `buffer` instead of html and markdown
+// (linked PDFs), refused above options.maxBytes.
+const HTML_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+
+const fetchPage = async (url, options = {}) => {
+  const { timeout = 30000, validators = {}, binary = false, maxBytes = Infinity } = options;
+  const headers = { 'User-Agent': USER_AGENT, Accept: binary ? '*/*' : HTML_ACCEPT };
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+  try {
+    const response = await fetch(url, { headers, redirect: 'follow', signal: AbortSignal.timeout(timeout) });
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+
+    if (response.status === 304) {
+      return { success: true, backend: 'http', status: 304, notModified: true, etag, lastModified };
+    }
+    if (!response.ok) {
+      return { success: false, backend: 'http', status: response.status, error: `HTTP ${response.status}` };
+    }
+
+    if (binary) {
+      const length = parseInt(response.headers.get('content-length'), 10);
+      if (length > maxBytes) {
+        return { success: false, backend: 'http', status: response.status, error: `Too large (${length} bytes)` };
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+      if (buffer.length > maxBytes) {
+        return { success: false, backend: 'http', status: response.status, error: `Too large (${buffer.length} bytes)` };
+      }
+      return {
+        success: true,
+        backend: 'http',
+        status: response.status,
+        buffer,
+        etag,
+        lastModified,
+        metadata: { sourceURL: url, url: response.url, statusCode: response.status }
+      };
+    }
+
+    const html = await response.text();
+    return {
+      success: true,
+      backend: 'http',
+      status: response.status,
+      html,
+      markdown: htmlToMarkdown(html, response.url),
+      etag,
+      lastModified,
+      metadata: { sourceURL: url, url: response.url, statusCode: response.status }
+    };
+  } catch (error) {
+    return { success: false, backend: 'http', error: error.message };
+  }
+};
+
+module.exports = {
+  name: 'http',
+  fetch: fetchPage,
+  verify: async () => true,
+  close: async () => {}
+};
@@ -0,0 +1,39 @@
+// Fetch backends. Every backend exposes the same interface:
+//   fetch(url, options) -> { success, backend, status, markdown, html, metadata, error, fatal }
+//   verify()            -> true when the backend is usable (API key, browser, ...)
+//   close()             -> release resources (browser instances, sockets)
+// The http backend also takes options.validators for conditional requests and
+// may answer { success: true, notModified: true }.
+const fetchers = {
+  firecrawl: require('./firecrawl'),
+  puppeteer: require('./puppeteer'),
+  http: require('./http')
+};
+
+const DEFAULT_FETCHER = 'firecrawl';
+
+const getFetcher = (name = DEFAULT_FETCHER) => {
+  const fetcher = fetchers[name];
+  if (!fetcher) {
+    throw new Error(`Unknown fetch backend "${name}" (available: ${Object.keys(fetchers).join(', ')})`);
+  }
+  return fetcher;
+};
+
+const getFetcherNames = () => Object.keys(fetchers);
+
+// SCRAPER_FETCHER overrides the backend of every source, e.g. to run
+// everything through the local browser when the Firecrawl quota is exhausted
+const getFetcherName = (source) => process.env.SCRAPER_FETCHER || source.fetcher || DEFAULT_FETCHER;
+
+const closeFetchers = async () => {
+  await Promise.all(Object.values(fetchers).map(fetcher => fetcher.close()));
+};
+
+module.exports = {
+  DEFAULT_FETCHER,
+  getFetcher,
+  getFetcherNames,
+  getFetcherName,
+  closeFetchers
+};
@@ -0,0 +1,124 @@
+const { htmlToMarkdown } = require('../extract/htmlToMarkdown');
+
+// Local headless-browser backend. Renders the page with puppeteer-extra and the
+// stealth plugin, so JS-heavy agency sites work without a Firecrawl key.
+let browserPromise = null;
+
+const launchBrowser = () => {
+  if (!browserPromise) {
+    const puppeteer = require('puppeteer-extra');
+    const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+    puppeteer.use(StealthPlugin());
+
+    browserPromise = puppeteer.launch({
+      headless: true,
+      acceptInsecureCerts: true, // government sites often have broken certificate chains
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+    }).catch(err => {
+      browserPromise = null;
+      throw err;
+    });
+  }
+  return browserPromise;
+};
+
+// Pick the main content region when asked to, mirroring Firecrawl's onlyMainContent
+const extractContentHtml = (page, contentSelector) =>
+  page.evaluate((selector) => {
+    const candidates = selector
+      ? [selector]
+      : ['main', 'article', '#content', '.content', '[role="main"]'];
+    for (const candidate of candidates) {
+      const el = document.querySelector(candidate);
+      if (el && el.innerText.trim().length > 200) return el.outerHTML;
+    }
+    return document.body ? document.body.outerHTML : document.documentElement.outerHTML;
+  }, contentSelector || null);
+
+const fetchPage = async (url, options = {}) => {
+  const {
+    timeout = 30000,
+    waitFor = 3000,
+    waitForSelector,
+    contentSelector,
+    onlyMainContent = true,
+    userAgent
+  } = options;
+
+  let page = null;
+  try {
+    const browser = await launchBrowser();
+    page = await browser.newPage();
+    if (userAgent) await page.setUserAgent(userAgent);
+
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout });
+    const status = response ? response.status() : null;
+
+    if (status && status >= 400) {
+      return { success: false, backend: 'puppeteer', status, error: `HTTP ${status}` };
+    }
+
+    // Wait for the listing to render
+    if (waitForSelector) {
+      await page.waitForSelector(waitForSelector, { timeout });
+    } else if (waitFor) {
+      await new Promise(resolve => setTimeout(resolve, waitFor));
+    }
+
+    const rawHtml = await page.content();
+    const html = onlyMainContent ? await extractContentHtml(page, contentSelector) : rawHtml;
+
+    return {
+      success: true,
+      backend: 'puppeteer',
+      status,
+      html: rawHtml,
+      markdown: htmlToMarkdown(html, page.url()),
+      metadata: {
+        title: await page.title(),
+        sourceURL: url,
+        url: page.url(),
+        statusCode: status
+      }
+    };
+  } catch (error) {
+    return { success: false, backend: 'puppeteer', error: error.message };
+  } finally {
+    if (page) {
+      try { await page.close(); } catch (closeErr) { /* ignore */ }
+    }
+  }
+};
+
+// Launching the browser is the only thing that can be checked up front
+const verify = async () => {
+  try {
+    console.log('🧭 Launching local headless browser...');
+    await launchBrowser();
+    console.log('✅ Headless browser ready');
+    return true;
+  } catch (error) {
+    console.error('❌ Could not launch headless browser:', error.message);
+    console.error('💡 Run `npx puppeteer browsers install chrome` to download Chrome');
+    return false;
+  }
+};
+
+const close = async () => {
+  if (!browserPromise) return;
+  try {
+    const browser = await browserPromise;
+    await browser.close();
+  } catch (err) {
+    /* ignore */
+  } finally {
+    browserPromise = null;
+  }
+};
+
+module.exports = {
+  name: 'puppeteer',
+  fetch: fetchPage,
+  verify,
+  close
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { htmlToMarkdown } = require('./extract/htmlToMarkdown');
+
+// Record/replay store for fetched pages. Each response is one JSON file:
+//   <dir>/<sourceId>/<slug>.json
+//   { url, sourceId, backend, recordedAt, markdown, html, metadata }
+// Linked PDF notices are stored as-is next to them:
+//   <dir>/<sourceId>/pdf/<slug>.pdf
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+
+const getFixtureDir = () => process.env.SCRAPER_FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+
+// Fixture mode comes from --record / --replay flags, falling back to SCRAPER_FIXTURE_MODE
+const getFixtureMode = (argv = process.argv) => {
+  if (argv.includes('--record')) return 'record';
+  if (argv.includes('--replay')) return 'replay';
+  const mode = (process.env.SCRAPER_FIXTURE_MODE || '').toLowerCase();
+  if (mode && !['record', 'replay', 'off'].includes(mode)) {
+    throw new Error(`Invalid SCRAPER_FIXTURE_MODE "${mode}" (expected record, replay or off)`);
+  }
+  return mode === 'off' ? null : mode || null;
+};
+
+// Readable but collision-free file name for a URL
+const fixtureSlug = (url) => {
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 10);
+  const readable = url
+    .replace(/^https?:\/\//, '')
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `${readable}-${hash}`;
+};
+
+const fixturePath = (sourceId, url, dir = getFixtureDir()) =>
+  path.join(dir, sourceId, `${fixtureSlug(url)}.json`);
+
+const saveFixture = (sourceId, url, response, dir = getFixtureDir()) => {
+  const file = fixturePath(sourceId, url, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const fixture = {
+    url,
+    sourceId,
+    backend: response.backend || 'firecrawl',
+    recordedAt: new Date().toISOString(),
+    markdown: response.markdown || null,
+    html: response.html || null,
+    metadata: response.metadata || {}
+  };
+  fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+  return file;
+};
+
+const loadFixture = (sourceId, url, dir = getFixtureDir()) => {
+  const file = fixturePath(sourceId, url, dir);
+  if (!fs.existsSync(file)) return null;
+
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  // Fixtures imported from saved HTML pages may not carry markdown yet
+  if (!fixture.markdown && fixture.html) {
+    fixture.markdown = htmlToMarkdown(fixture.html, fixture.url);
+  }
+  return fixture;
+};
+
+const pdfFixturePath = (sourceId, url, dir = getFixtureDir()) =>
+  path.join(dir, sourceId, 'pdf', `${fixtureSlug(url)}.pdf`);
+
+const savePdfFixture = (sourceId, url, buffer, dir = getFixtureDir()) => {
+  const file = pdfFixturePath(sourceId, url, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, buffer);
+  return file;
+};
+
+const loadPdfFixture = (sourceId, url, dir = getFixtureDir()) => {
+  const file = pdfFixturePath(sourceId, url, dir);
+  return fs.existsSync(file) ? fs.readFileSync(file) : null;
+};
+
+// Turn a saved page (e.g. page.html from a debugging session) into a fixture
+const importHtmlFixture = (sourceId, url, htmlFile, dir = getFixtureDir()) => {
+  const html = fs.readFileSync(htmlFile, 'utf8');
+  return saveFixture(sourceId, url, {
+    backend: 'import',
+    html,
+    markdown: htmlToMarkdown(html, url),
+    metadata: { importedFrom: path.basename(htmlFile) }
+  }, dir);
+};
+
+module.exports = {
+  DEFAULT_FIXTURE_DIR,
+  getFixtureDir,
+  getFixtureMode,
+  fixturePath,
+  saveFixture,
+  loadFixture,
+  savePdfFixture,
+  loadPdfFixture,
+  importHtmlFixture
+};
@@ -0,0 +1,189 @@
+// Source health. After every run each source's result is compared with its own
+// history in scrape_run_sources, so a redesigned agency site shows up as a
+// problem instead of a quiet "0 proposals":
+//   fetch_failed       the latest fetch failed (fewer than FAILING_RUNS in a row)
+//   fetch_failing      the last FAILING_RUNS fetches of the source failed
+//   zero_yield         nothing extracted where earlier runs found proposals
+//   yield_drop         far fewer proposals than the source's usual yield
+//   structure_changed  the page layout (tags, classes, table headers) changed
+//
+// State: healthy | degraded (a warning) | broken (a critical issue) | unknown
+// (no run yet, or no successful one and no critical issue)
+const crypto = require('crypto');
+
+const HISTORY_RUNS = 10;
+const FAILING_RUNS = parseInt(process.env.HEALTH_FAILING_RUNS) || 3;
+// A yield below this share of the usual yield counts as a drop
+const YIELD_DROP_RATIO = parseFloat(process.env.HEALTH_YIELD_DROP_RATIO) || 0.5;
+// Sources that usually find fewer proposals than this are too small to judge
+const MIN_BASELINE_YIELD = 3;
+
+const SEVERITY = {
+  fetch_failed: 'warning',
+  fetch_failing: 'critical',
+  zero_yield: 'critical',
+  yield_drop: 'warning',
+  structure_changed: 'warning'
+};
+
+// Fingerprint of the page layout rather than its content: the distinct
+// tag/class combinations and table headers, so new calls being listed do not
+// change it but a redesign does
+const structureHash = ({ html, markdown }) => {
+  const signature = new Set();
+  if (html) {
+    const body = html.replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, '');
+    for (const match of body.matchAll(/<([a-z][a-z0-9]*)\b([^>]*)>/gi)) {
+      const classes = (match[2].match(/\bclass\s*=\s*["']([^"']*)["']/i) || [, ''])[1]
+        .split(/\s+/).filter(Boolean).sort().join('.');
+      signature.add(`${match[1].toLowerCase()}${classes ? `.${classes}` : ''}`);
+    }
+    for (const match of body.matchAll(/<th\b[^>]*>([\s\S]*?)<\/th>/gi)) {
+      signature.add(`th:${match[1].replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase()}`);
+    }
+  } else if (markdown) {
+    for (const line of markdown.split('\n')) {
+      const heading = line.match(/^(#{1,6})\s/);
+      if (heading) signature.add(`h${heading[1].length}`);
+      if (/^\s*\|?\s*:?-{3,}/.test(line)) signature.add('table');
+    }
+  } else {
+    return null;
+  }
+  return crypto.createHash('sha1').update(Array.from(signature).sort().join('\n')).digest('hex');
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Judge one source from its recent page results, newest first. Sources with
+// several pages are judged on their summed yield per run.
+const assessSource = (history) => {
+  const runs = [];
+  for (const row of history) {
+    let run = runs.find(r => r.runId === row.run_id);
+    if (!run) {
+      run = { runId: row.run_id, ok: true, found: 0, hashes: [] };
+      runs.push(run);
+    }
+    run.ok = run.ok && row.status === 'ok';
+    run.found += row.proposals_found || 0;
+    if (row.structure_hash) run.hashes.push(`${row.url}|${row.structure_hash}`);
+  }
+  if (runs.length === 0) return { state: 'unknown', issues: [], lastYield: null, baselineYield: null, consecutiveFailures: 0 };
+
+  const [latest, ...previous] = runs;
+  const issues = [];
+
+  const consecutiveFailures = runs.findIndex(run => run.ok);
+  const failures = consecutiveFailures === -1 ? runs.length : consecutiveFailures;
+  if (failures >= FAILING_RUNS) {
+    issues.push({ code: 'fetch_failing', message: `failed ${failures} runs in a row` });
+  } else if (failures > 0) {
+    issues.push({ code: 'fetch_failed', message: failures === 1 ? 'failed the latest run' : `failed ${failures} runs in a row` });
+  }
+
+  const okPrevious = previous.filter(run => run.ok);
+  const baselineYield = median(okPrevious.map(run => run.found));
+  if (latest.ok && baselineYield !== null && baselineYield >= MIN_BASELINE_YIELD) {
+    if (latest.found === 0) {
+      issues.push({ code: 'zero_yield', message: `found 0 proposals, usually ${baselineYield}` });
+    } else if (latest.found < baselineYield * YIELD_DROP_RATIO) {
+      issues.push({ code: 'yield_drop', message: `found ${latest.found} proposals, usually ${baselineYield}` });
+    }
+  }
+
+  const layout = (run) => [...run.hashes].sort().join('\n');
+  const lastOkWithHash = okPrevious.find(run => run.hashes.length > 0);
+  if (latest.ok && latest.hashes.length > 0 && lastOkWithHash && layout(latest) !== layout(lastOkWithHash)) {
+    issues.push({ code: 'structure_changed', message: 'page structure changed since the last successful run' });
+  }
+
+  let state = 'healthy';
+  if (issues.some(issue => SEVERITY[issue.code] === 'critical')) state = 'broken';
+  else if (consecutiveFailures === -1) state = 'unknown';
+  else if (issues.length > 0) state = 'degraded';
+
+  return {
+    state,
+    issues: issues.map(issue => ({ ...issue, severity: SEVERITY[issue.code] })),
+    lastYield: latest.ok ? latest.found : null,
+    baselineYield,
+    consecutiveFailures: failures
+  };
+};
+
+const getSourceHistory = async (client, sourceId) => {
+  const result = await client.query(
+    `SELECT s.* FROM scrape_run_sources s
+     JOIN (
+       SELECT DISTINCT r.id, r.started_at FROM scrape_runs r
+       JOIN scrape_run_sources rs ON rs.run_id = r.id
+       WHERE rs.source_id = $1 AND r.status <> 'running'
+       ORDER BY r.started_at DESC
+       LIMIT $2
+     ) recent ON recent.id = s.run_id
+     WHERE s.source_id = $1
+     ORDER BY recent.started_at DESC, s.id ASC`,
+    [sourceId, HISTORY_RUNS]
+  );
+  return result.rows;
+};
+
+// Re-assess every source scraped in a run and store the result in
+// source_health. Returns alerts for issues that were not already reported,
+// so a source that stays broken is not announced again every night.
+const updateSourceHealth = async (client, runId, sourceIds) => {
+  const alerts = [];
+  for (const sourceId of sourceIds) {
+    const health = assessSource(await getSourceHistory(client, sourceId));
+    const previous = await client.query('SELECT issues FROM source_health WHERE source_id = $1', [sourceId]);
+    const knownCodes = new Set(((previous.rows[0] && previous.rows[0].issues) || []).map(issue => issue.code));
+
+    for (const issue of health.issues) {
+      if (knownCodes.has(issue.code)) continue;
+      alerts.push({
+        sourceId,
+        runId,
+        code: issue.code,
+        severity: issue.severity,
+        message: `${sourceId}: ${issue.message}`
+      });
+    }
+
+    await client.query(
+      `INSERT INTO source_health (source_id, state, issues, last_run_id, last_yield, baseline_yield,
+                                  consecutive_failures, last_ok_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $5::integer IS NOT NULL THEN NOW() END, NOW())
+       ON CONFLICT (source_id) DO UPDATE SET
+         state = EXCLUDED.state,
+         issues = EXCLUDED.issues,
+         last_run_id = EXCLUDED.last_run_id,
+         last_yield = EXCLUDED.last_yield,
+         baseline_yield = EXCLUDED.baseline_yield,
+         consecutive_failures = EXCLUDED.consecutive_failures,
+         last_ok_at = COALESCE(EXCLUDED.last_ok_at, source_health.last_ok_at),
+         updated_at = NOW()`,
+      [sourceId, health.state, JSON.stringify(health.issues), runId, health.lastYield,
+        health.baselineYield, health.consecutiveFailures]
+    );
+  }
+  return alerts;
+};
+
+const listSourceHealth = async (query) => {
+  const result = await query('SELECT * FROM source_health ORDER BY source_id ASC');
+  return result.rows;
+};
+
+module.exports = {
+  SEVERITY,
+  structureHash,
+  assessSource,
+  updateSourceHealth,
+  listSourceHealth
+};
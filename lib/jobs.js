@@ -0,0 +1,75 @@
+// In-process background jobs for the API. A job runs a long task (a scrape)
+// after the request that started it has returned; its progress and result are
+// kept in memory for GET /api/scrape/jobs/:id. The finished run itself is
+// persisted in the scrape run ledger.
+const crypto = require('crypto');
+
+// Finished jobs kept for status requests, oldest dropped first
+const MAX_FINISHED_JOBS = 50;
+
+const jobs = new Map();
+
+const isActive = (job) => job.status === 'queued' || job.status === 'running';
+
+const getJob = (id) => jobs.get(id) || null;
+
+const listJobs = () => Array.from(jobs.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+const getActiveJob = (type) => listJobs().find(job => job.type === type && isActive(job)) || null;
+
+const pruneJobs = () => {
+  const finished = listJobs().filter(job => !isActive(job));
+  finished.slice(MAX_FINISHED_JOBS).forEach(job => jobs.delete(job.id));
+};
+
+// Start `task({ progress })` in the background. Only one job of a type runs
+// at a time; starting another one throws with code JOB_ALREADY_RUNNING and the
+// running job attached.
+const startJob = (type, params, task) => {
+  const active = getActiveJob(type);
+  if (active) {
+    const error = new Error(`A ${type} job is already running`);
+    error.code = 'JOB_ALREADY_RUNNING';
+    error.job = active;
+    throw error;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    params,
+    status: 'queued',
+    progress: null,
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+  jobs.set(job.id, job);
+
+  setImmediate(async () => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    try {
+      job.result = await task({ progress: (update) => { job.progress = { ...job.progress, ...update }; } });
+      job.status = 'succeeded';
+    } catch (error) {
+      console.error(`❌ ${type} job ${job.id} failed:`, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      pruneJobs();
+    }
+  });
+
+  return job;
+};
+
+module.exports = {
+  getJob,
+  listJobs,
+  getActiveJob,
+  startJob
+};
@@ -0,0 +1,259 @@
+// Proposal lifecycle. Every scrape run refreshes each proposal's status:
+//   open          seen on its source, deadline not close
+//   closing_soon  deadline within CLOSING_SOON_DAYS
+//   closed        deadline has passed (IST)
+//   removed       no longer listed on a source that scraped successfully
+//   reopened      came back after being removed or closed (e.g. deadline extended)
+const { isBlank, isExtension, diffProposal, recordRevisions } = require('./revisions');
+const { TITLE_SIMILARITY, titleSimilarity, isNearDuplicate, isUnknownAgency, mergeSources } = require('./dedupe');
+const { toDeadlineColumns, toOpeningDate } = require('./extract/dates');
+
+const STATUSES = ['open', 'closing_soon', 'closed', 'removed', 'reopened'];
+const CLOSING_SOON_DAYS = parseInt(process.env.CLOSING_SOON_DAYS) || 7;
+
+// Deadline as an instant: the IST instant recorded by the date extractor, or
+// end of day IST on the deadline date. NULL for rolling / unknown deadlines.
+const DEADLINE_AT_SQL = `COALESCE(
+  (date_details->>'deadlineAt')::timestamptz,
+  (deadline::text || 'T23:59:59+05:30')::timestamptz
+)`;
+
+// Filter for "not closed": also hides calls whose deadline passed since the last run
+const NOT_CLOSED_SQL = `(status IS DISTINCT FROM 'closed' AND COALESCE(${DEADLINE_AT_SQL} >= NOW(), TRUE))`;
+
+// Find the stored row for a scraped proposal. An exact (title, link) match
+// wins; otherwise a row from the same source sharing the title (link moved)
+// or the link (title edited) is the same call, as long as that row has not
+// already been matched earlier in this run. Several calls often share one
+// link (a scheme page listing its calls) and generic titles repeat, so a
+// title or link shared by other rows of the source, or by other proposals
+// of this run (`shared`), is not enough on its own: a shared title matches
+// nothing, a shared link only a row with a near-duplicate title.
+const findExisting = async (client, proposal, seenAt, shared = {}) => {
+  const result = await client.query(
+    `SELECT *, (last_seen_at IS NULL OR last_seen_at < $4) AS unseen FROM proposals
+     WHERE (title = $1 AND link = $2)
+        OR ($3::text IS NOT NULL AND source_id = $3 AND (link = $2 OR title = $1))
+     ORDER BY (title = $1 AND link = $2) DESC, (status = 'removed') ASC, last_seen_at DESC NULLS LAST`,
+    [proposal.title, proposal.link, proposal.sourceId || null, seenAt]
+  );
+  const rows = result.rows.map(({ unseen, ...row }) => ({ row, unseen }));
+  const exact = rows.find(({ row }) => row.title === proposal.title && row.link === proposal.link);
+  if (exact) return exact.row;
+
+  const sameSource = rows.filter(({ row }) => row.source_id === proposal.sourceId);
+  const sameTitle = sameSource.filter(({ row }) => row.title === proposal.title);
+  if (sameTitle.length === 1 && sameTitle[0].unseen && !shared.title) return sameTitle[0].row;
+
+  const sameLink = sameSource.filter(({ row }) => row.link === proposal.link);
+  if (sameLink.length === 1 && sameLink[0].unseen && !shared.link) return sameLink[0].row;
+  const similar = sameLink
+    .filter(({ unseen }) => unseen)
+    .map(({ row }) => ({ row, similarity: titleSimilarity(row.title, proposal.title) }))
+    .filter(({ similarity }) => similarity >= TITLE_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity);
+  return similar.length > 0 ? similar[0].row : null;
+};
+
+// Same call stored from another source (e.g. first seen on an aggregator):
+// same deadline, similar title, agency and link as decided by lib/dedupe.js
+const findNearDuplicate = async (client, proposal, seenAt) => {
+  if (isBlank(proposal.endDate)) return null;
+  const result = await client.query(
+    `SELECT * FROM proposals
+     WHERE deadline_text = $1 AND (last_seen_at IS NULL OR last_seen_at < $2)
+     ORDER BY last_seen_at DESC NULLS LAST`,
+    [proposal.endDate, seenAt]
+  );
+  return result.rows.find(row => isNearDuplicate(
+    { title: row.title, link: row.link, agency: row.agency, endDate: row.deadline_text },
+    proposal
+  )) || null;
+};
+
+const sourcesOf = (proposal) => proposal.sources || [{ sourceId: proposal.sourceId || null, link: proposal.link }];
+
+// Eligibility and funding (lib/extract/callDetails.js) and detail page
+// (lib/extract/detail.js) columns, NULL when unknown
+const ENRICHMENT_COLUMNS = [
+  'career_stages', 'age_limit', 'age_relaxation', 'institution_types', 'nationalities',
+  'funding_amount_inr', 'funding_period', 'funding_duration_months', 'funding_text',
+  'summary', 'contact_email', 'details'
+];
+
+// Typed dates derived from the stored text (see lib/db/migrations/002_typed_dates.js)
+const DATE_COLUMNS = ['from_date', 'deadline', 'deadline_kind'];
+
+const dateValues = (startText, deadlineText) => {
+  const { date, kind } = toDeadlineColumns(deadlineText);
+  return [toOpeningDate(startText), date, kind];
+};
+
+const orNull = (list) => list && list.length > 0 ? list : null;
+
+const enrichmentValues = ({ eligibility, funding, details }) => {
+  const e = eligibility || {};
+  const f = funding || {};
+  return [
+    orNull(e.careerStages), e.ageLimit ?? null, e.ageRelaxation ?? null,
+    orNull(e.institutionTypes), orNull(e.nationalities),
+    f.amountInr ?? null, f.period || null, f.durationMonths ?? null, f.text || null,
+    details && details.summary ? details.summary.text : null,
+    details && details.contactEmail ? details.contactEmail.value : null,
+    details ? JSON.stringify(details) : null
+  ];
+};
+
+const insertProposal = async (client, proposal, seenAt) => {
+  const result = await client.query(
+    `INSERT INTO proposals (title, agency, from_date_text, deadline_text, link, created_at, source_document,
+                            eligibility_text, date_details, source_id, status, first_seen_at, last_seen_at,
+                            status_changed_at, updated_at, sources, proposal_type, tags,
+                            ${DATE_COLUMNS.join(', ')}, ${ENRICHMENT_COLUMNS.join(', ')})
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'open', $6, $6, $6, $6, $11, $12, $13,
+             ${[...DATE_COLUMNS, ...ENRICHMENT_COLUMNS].map((_, i) => `$${14 + i}`).join(', ')})
+     RETURNING id`,
+    [
+      proposal.title,
+      proposal.agency,
+      proposal.startDate,
+      proposal.endDate,
+      proposal.link,
+      seenAt,
+      proposal.sourceDocument ? JSON.stringify(proposal.sourceDocument) : null,
+      proposal.eligibilityText || null,
+      proposal.dateDetails ? JSON.stringify(proposal.dateDetails) : null,
+      proposal.sourceId || null,
+      JSON.stringify(sourcesOf(proposal)),
+      proposal.type || null,
+      proposal.tags || null,
+      ...dateValues(proposal.startDate, proposal.endDate),
+      ...enrichmentValues(proposal)
+    ]
+  );
+  return result.rows[0].id;
+};
+
+// Record that a proposal was seen in this run. New rows start as open, rows
+// that had been removed come back as reopened. Field changes are written to
+// the revision history, and a deadline moving later flags the call as extended
+// (which also lets refreshStatuses reopen it if it had closed). A near-duplicate
+// from another source is added to the row's sources instead of a new row.
+// `shared` says whether other proposals of this run from the same source have
+// the same { title, link } (see findExisting).
+const markSeen = async (client, proposal, seenAt, runId = null, shared = {}) => {
+  let existing = await findExisting(client, proposal, seenAt, shared);
+  let nearDuplicate = false;
+  if (!existing) {
+    existing = await findNearDuplicate(client, proposal, seenAt);
+    nearDuplicate = Boolean(existing);
+  }
+  if (!existing) {
+    const id = await insertProposal(client, proposal, seenAt);
+    return { id, inserted: true, status: 'open', changes: [] };
+  }
+
+  // A near-duplicate only contributes dates and details (and an agency when
+  // the stored row has none), not its own title and link
+  const keepStored = (column) => nearDuplicate && (
+    column === 'title' || column === 'link'
+    || (column === 'agency' && !isUnknownAgency(existing.agency))
+  );
+  const changes = diffProposal(existing, proposal).filter(change => !keepStored(change.field));
+  const extended = changes.some(c => c.field === 'deadline' && isExtension(c.oldValue, c.newValue))
+    || Boolean(proposal.dateDetails && proposal.dateDetails.extended && !existing.deadline_extended);
+  const deadlineChange = changes.find(c => c.field === 'deadline');
+  const value = (column, field) => isBlank(proposal[field]) || keepStored(column) ? existing[column] : proposal[field];
+  const startText = value('from_date_text', 'startDate');
+  const deadlineText = value('deadline_text', 'endDate');
+
+  const result = await client.query(
+    `UPDATE proposals SET
+       title = $2, agency = $3, from_date_text = $4, deadline_text = $5, link = $6,
+       date_details = COALESCE($7, date_details),
+       source_document = COALESCE($8, source_document),
+       eligibility_text = COALESCE($9, eligibility_text),
+       source_id = COALESCE(source_id, $10),
+       last_seen_at = $11,
+       updated_at = CASE WHEN $12 THEN $11 ELSE updated_at END,
+       deadline_extended = deadline_extended OR $13,
+       previous_deadline = CASE WHEN $13 AND $14::text IS NOT NULL THEN $14 ELSE previous_deadline END,
+       status = CASE WHEN status = 'removed' THEN 'reopened' ELSE status END,
+       status_changed_at = CASE WHEN status = 'removed' THEN $11 ELSE status_changed_at END,
+       sources = $15,
+       proposal_type = COALESCE($16, proposal_type),
+       tags = COALESCE($17, tags),
+       ${DATE_COLUMNS.map((column, i) => `${column} = $${18 + i}`).join(', ')},
+       ${ENRICHMENT_COLUMNS.map((column, i) => `${column} = COALESCE($${21 + i}, ${column})`).join(',\n       ')}
+     WHERE id = $1
+     RETURNING status`,
+    [
+      existing.id,
+      value('title', 'title'),
+      value('agency', 'agency'),
+      startText,
+      deadlineText,
+      value('link', 'link'),
+      !isBlank(proposal.endDate) && proposal.dateDetails ? JSON.stringify(proposal.dateDetails) : null,
+      proposal.sourceDocument ? JSON.stringify(proposal.sourceDocument) : null,
+      proposal.eligibilityText || null,
+      proposal.sourceId || null,
+      seenAt,
+      changes.length > 0,
+      extended,
+      deadlineChange ? deadlineChange.oldValue : null,
+      JSON.stringify(mergeSources(existing.sources || [{ sourceId: existing.source_id, link: existing.link }], sourcesOf(proposal))),
+      proposal.type || null,
+      proposal.tags || null,
+      ...dateValues(startText, deadlineText),
+      ...enrichmentValues(proposal)
+    ]
+  );
+
+  await recordRevisions(client, existing.id, runId, changes, seenAt);
+  return { id: existing.id, inserted: false, status: result.rows[0].status, changes, extended, nearDuplicate };
+};
+
+// Proposals from these sources that were not seen since `runStartedAt` have
+// disappeared from the agency page. Only pass sources that fetched successfully,
+// otherwise a network blip would remove every call of that agency.
+const markRemoved = async (client, sourceIds, runStartedAt) => {
+  if (sourceIds.length === 0) return 0;
+  const result = await client.query(
+    `UPDATE proposals SET status = 'removed', status_changed_at = NOW()
+     WHERE source_id = ANY($1) AND last_seen_at < $2 AND status IS DISTINCT FROM 'removed'`,
+    [sourceIds, runStartedAt]
+  );
+  return result.rowCount;
+};
+
+// Re-derive deadline based statuses for everything still listed
+const refreshStatuses = async (client) => {
+  const result = await client.query(
+    `UPDATE proposals p SET status = s.next_status, status_changed_at = NOW()
+     FROM (
+       SELECT id, CASE
+         WHEN ${DEADLINE_AT_SQL} < NOW() THEN 'closed'
+         WHEN ${DEADLINE_AT_SQL} < NOW() + make_interval(days => $1) THEN 'closing_soon'
+         WHEN status = 'closed' THEN 'reopened'
+         WHEN status = 'closing_soon' OR status IS NULL THEN 'open'
+         ELSE status
+       END AS next_status
+       FROM proposals
+       WHERE status IS DISTINCT FROM 'removed'
+     ) s
+     WHERE p.id = s.id AND p.status IS DISTINCT FROM s.next_status`,
+    [CLOSING_SOON_DAYS]
+  );
+  return result.rowCount;
+};
+
+module.exports = {
+  STATUSES,
+  CLOSING_SOON_DAYS,
+  DEADLINE_AT_SQL,
+  NOT_CLOSED_SQL,
+  markSeen,
+  markRemoved,
+  refreshStatuses
+};
@@ -0,0 +1,53 @@
+// Alert notifiers. Every notifier exposes the same interface:
+//   isConfigured()  -> true when its settings are present
+//   send(alerts)    -> deliver a batch of alerts ({ sourceId, code, severity, message, ... })
+// ALERT_NOTIFIERS picks the notifiers (comma separated, default "log"); the
+// scraper and the API check the names when they start.
+const notifiers = {
+  log: require('./logFile'),
+  webhook: require('./webhook'),
+  email: require('./email')
+};
+
+const DEFAULT_NOTIFIERS = 'log';
+
+const getNotifiers = (names = process.env.ALERT_NOTIFIERS || DEFAULT_NOTIFIERS) => names
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean)
+  .map(name => {
+    const notifier = notifiers[name];
+    if (!notifier) {
+      const error = new Error(`Unknown notifier "${name}" in ALERT_NOTIFIERS (available: ${Object.keys(notifiers).join(', ')})`);
+      error.code = 'UNKNOWN_NOTIFIER';
+      throw error;
+    }
+    return notifier;
+  });
+
+// Deliver alerts through every configured notifier. One failing channel must
+// not keep the others from delivering.
+const notify = async (alerts) => {
+  if (alerts.length === 0) return [];
+  const results = [];
+  for (const notifier of getNotifiers()) {
+    if (!notifier.isConfigured()) {
+      console.warn(`⚠️  Notifier "${notifier.name}" is not configured, skipping`);
+      continue;
+    }
+    try {
+      await notifier.send(alerts);
+      results.push({ notifier: notifier.name, success: true });
+    } catch (error) {
+      console.error(`❌ Notifier "${notifier.name}" failed: ${error.message}`);
+      results.push({ notifier: notifier.name, success: false, error: error.message });
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  DEFAULT_NOTIFIERS,
+  getNotifiers,
+  notify
+};
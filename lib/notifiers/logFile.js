@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append alerts as JSON lines, e.g. for `tail -f` or log shipping. The default
+// logs/ directory is git-ignored; ALERT_LOG_FILE moves it elsewhere.
+const getLogFile = () => process.env.ALERT_LOG_FILE || path.join(__dirname, '..', '..', 'logs', 'alerts.log');
+
+const send = async (alerts) => {
+  const file = getLogFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lines = alerts.map(alert => JSON.stringify({ ...alert, loggedAt: new Date().toISOString() }));
+  fs.appendFileSync(file, lines.join('\n') + '\n');
+};
+
+module.exports = {
+  name: 'log',
+  isConfigured: () => true,
+  send
+};
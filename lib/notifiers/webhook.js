@@ -0,0 +1,22 @@
+// POST alerts as JSON to ALERT_WEBHOOK_URL. The `text` field makes the payload
+// readable as-is by Slack and Discord compatible incoming webhooks.
+const send = async (alerts) => {
+  const response = await fetch(process.env.ALERT_WEBHOOK_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      text: alerts.map(alert => `${alert.severity === 'critical' ? '🚨' : '⚠️'} ${alert.message}`).join('\n'),
+      alerts
+    }),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook responded with HTTP ${response.status}`);
+  }
+};
+
+module.exports = {
+  name: 'webhook',
+  isConfigured: () => Boolean(process.env.ALERT_WEBHOOK_URL),
+  send
+};
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const { STATUSES, NOT_CLOSED_SQL } = require('./lifecycle');
+const { PROPOSAL_TYPES, SUBJECT_TAGS } = require('./extract/classify');
+const { CAREER_STAGES, INSTITUTION_TYPES, NATIONALITIES } = require('./extract/callDetails');
+const { DEADLINE_KINDS } = require('./extract/dates');
+const { searchSql } = require('./search');
+const { resolveAgencyCode } = require('./agencies');
+
+// Proposal reads shared by the API and the scraper. Writes go through
+// lifecycle.js (markSeen, markRemoved, refreshStatuses); search.js supplies
+// the SQL for ?q= searches. Every function takes `query` (db.query, the API's executeQuery
+// or a client's query) first.
+
+// Filters for listProposals, all optional:
+//   statuses, types, tags, careerStages, institutionTypes, nationalities,
+//   deadlineKinds    lists, any match
+//   agencies         agency codes, names or aliases, any match: calls linked
+//                    to that agency (see agencies.js, "SERB" finds ANRF) and
+//                    calls whose agency string holds it as whole words,
+//                    ignoring case ("DST" also finds "DST-TDB")
+//   includeClosed    closed calls are hidden unless asked for or in statuses
+//   age              calls whose age limit allows it, and calls without one
+//   minAmount, maxAmount  INR, only calls with a known amount
+//   deadlineAfter, deadlineBefore  'YYYY-MM-DD', on the typed deadline
+//   q                search text (see search.js)
+// Returns { where, params, search }, search being null without q.
+const buildProposalFilters = (filters = {}, params = []) => {
+  const conditions = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const has = (values) => Array.isArray(values) && values.length > 0;
+
+  const statuses = filters.statuses || [];
+  if (statuses.length > 0) {
+    conditions.push(`status = ANY(${param(statuses)})`);
+    if (!statuses.includes('closed')) conditions.push(NOT_CLOSED_SQL);
+  } else if (!filters.includeClosed) {
+    conditions.push(NOT_CLOSED_SQL);
+  }
+
+  if (has(filters.types)) conditions.push(`proposal_type = ANY(${param(filters.types)})`);
+  const arrayFilters = [
+    ['tags', filters.tags],
+    ['career_stages', filters.careerStages],
+    ['institution_types', filters.institutionTypes],
+    ['nationalities', filters.nationalities]
+  ];
+  for (const [column, values] of arrayFilters) {
+    if (has(values)) conditions.push(`${column} && ${param(values)}::text[]`);
+  }
+  if (has(filters.agencies)) {
+    const matchesText = `agency ~* ANY(${param(filters.agencies.map(agencyPattern))}::text[])`;
+    const codes = [...new Set(filters.agencies.map(resolveAgencyCode).filter(Boolean))];
+    conditions.push(codes.length > 0 ? `(agency_code = ANY(${param(codes)}::text[]) OR ${matchesText})` : matchesText);
+  }
+
+  if (filters.age > 0) conditions.push(`(age_limit IS NULL OR age_limit >= ${param(filters.age)})`);
+  if (filters.minAmount >= 0) conditions.push(`funding_amount_inr >= ${param(filters.minAmount)}`);
+  if (filters.maxAmount >= 0) conditions.push(`funding_amount_inr <= ${param(filters.maxAmount)}`);
+
+  if (has(filters.deadlineKinds)) {
+    conditions.push(`deadline_kind = ANY(${param(filters.deadlineKinds)}::text[]::deadline_kind[])`);
+  }
+  if (filters.deadlineAfter) conditions.push(`deadline >= ${param(filters.deadlineAfter)}::date`);
+  if (filters.deadlineBefore) conditions.push(`deadline <= ${param(filters.deadlineBefore)}::date`);
+
+  const search = filters.q ? searchSql(filters.q, param) : null;
+  if (search) conditions.push(search.condition);
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params, search };
+};
+
+// The agency as a whole word of the stored name, as a case-insensitive regex
+const agencyPattern = (agency) =>
+  `(^|[^[:alnum:]])${agency.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^[:alnum:]]|$)`;
+
+// Sort keys. Every order ends on id so rows with the same key keep one order,
+// which is what makes a cursor stable. Missing keys sort last.
+//   newest     recently added first
+//   deadline   soonest deadline first, rolling and unknown ones last
+//   relevance  best search match first (needs q)
+const SORTS = {
+  newest: { column: 'created_at', type: 'timestamp', direction: 'DESC' },
+  deadline: { column: 'deadline', type: 'date', direction: 'ASC' },
+  relevance: { column: 'search_rank', type: 'float8', direction: 'DESC' }
+};
+
+// Cursors are opaque to clients: the sort key and id of the last row on the
+// page, and a fingerprint of the filters and sort they were made for
+const filterFingerprint = (filters, sort) =>
+  crypto.createHash('sha1').update(JSON.stringify({ filters, sort })).digest('hex').slice(0, 12);
+
+const encodeCursor = (row, filters, sort) => Buffer.from(JSON.stringify({
+  k: row.cursor_key,
+  id: row.id,
+  f: filterFingerprint(filters, sort)
+})).toString('base64url');
+
+const decodeCursor = (cursor, filters, sort) => {
+  let decoded = null;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    // reported below
+  }
+  if (!decoded || !Number.isInteger(decoded.id) || !('k' in decoded)) {
+    const error = new Error('Invalid cursor');
+    error.code = 'INVALID_CURSOR';
+    throw error;
+  }
+  if (decoded.f !== filterFingerprint(filters, sort)) {
+    const error = new Error('Cursor was made for other filters or another sort; start again without it');
+    error.code = 'INVALID_CURSOR';
+    throw error;
+  }
+  return decoded;
+};
+
+// Rows after the cursor in the sort's order
+const afterCursor = ({ column, type, direction }, cursor, param) => {
+  const beyond = direction === 'DESC' ? '<' : '>';
+  const id = param(cursor.id);
+  if (cursor.k === null) return `(${column} IS NULL AND id ${beyond} ${id})`;
+  const key = `${param(cursor.k)}::${type}`;
+  return `(${column} ${beyond} ${key} OR (${column} = ${key} AND id ${beyond} ${id}) OR ${column} IS NULL)`;
+};
+
+// One page of proposals matching `filters`, with the total across all pages.
+// Pages follow `cursor` (nextCursor of the previous page) or skip `offset`
+// rows. With q the rows carry search_rank, title_highlight and summary_snippet.
+const listProposals = async (query, filters = {}, { limit = 50, offset = 0, sort = 'newest', cursor = null } = {}) => {
+  const order = SORTS[sort];
+  if (!order) {
+    const error = new Error(`Unknown sort "${sort}" (available: ${Object.keys(SORTS).join(', ')})`);
+    error.code = 'INVALID_SORT';
+    throw error;
+  }
+  const after = cursor ? decodeCursor(cursor, filters, sort) : null;
+
+  const count = buildProposalFilters(filters);
+  const { where, params, search } = buildProposalFilters(filters);
+  if (filters.q && !search) {
+    const error = new Error('Search query must contain letters or digits');
+    error.code = 'INVALID_SEARCH';
+    throw error;
+  }
+  if (sort === 'relevance' && !search) {
+    const error = new Error('Sorting by relevance needs a search query (q)');
+    error.code = 'INVALID_SORT';
+    throw error;
+  }
+
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const orderBy = `${order.column} ${order.direction} NULLS LAST, id ${order.direction}`;
+  const rank = search ? `, ${search.rank(param)} AS search_rank` : '';
+  const cursorCondition = after ? `WHERE ${afterCursor(order, after, param)}` : '';
+  // One row more than asked tells whether there is a next page
+  const pageLimit = param(limit + 1);
+  const pageOffset = param(after ? 0 : offset);
+  const highlights = search ? `, ${search.highlights(param)}` : '';
+
+  const [countResult, dataResult] = await Promise.all([
+    query(`SELECT COUNT(*) FROM proposals ${count.where}`, count.params),
+    query(
+      `WITH matched AS (
+         SELECT *${rank} FROM proposals ${where}
+       ), page AS (
+         SELECT *, ${order.column}::text AS cursor_key FROM matched ${cursorCondition}
+         ORDER BY ${orderBy} LIMIT ${pageLimit} OFFSET ${pageOffset}
+       )
+       SELECT *${highlights} FROM page ORDER BY ${orderBy}`,
+      params
+    )
+  ]);
+
+  const rows = dataResult.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const nextCursor = dataResult.rows.length > limit ? encodeCursor(last, filters, sort) : null;
+
+  return {
+    total: parseInt(countResult.rows[0].count, 10),
+    rows: rows.map(({ cursor_key, ...row }) => (search ? { ...row, search_rank: Number(row.search_rank.toFixed(4)) } : row)),
+    nextCursor
+  };
+};
+
+// Counts for faceted browsing under `filters`. Each facet is counted with
+// every filter except its own, so picking one value still shows the others.
+// Known values are listed even when nothing matches them.
+const FACETS = {
+  status: { drop: { statuses: [], includeClosed: true }, column: 'status', values: STATUSES },
+  type: { drop: { types: [] }, column: 'proposal_type', values: PROPOSAL_TYPES },
+  tags: { drop: { tags: [] }, column: 'tags', array: true, values: SUBJECT_TAGS },
+  // Agency code where the call is linked to a known agency, its string otherwise
+  agency: { drop: { agencies: [] }, column: 'COALESCE(agency_code, agency)', limit: 50 },
+  deadline_kind: { drop: { deadlineKinds: [] }, column: 'deadline_kind::text', values: DEADLINE_KINDS }
+};
+
+const countFacets = async (query, filters = {}, names = Object.keys(FACETS)) => {
+  const facets = names.filter(name => FACETS[name]);
+  const results = await Promise.all(facets.map(name => {
+    const facet = FACETS[name];
+    const { where, params } = buildProposalFilters({ ...filters, ...facet.drop });
+    const from = facet.array ? `proposals, unnest(${facet.column}) AS value ${where}` : `proposals ${where}`;
+    const value = facet.array ? 'value' : facet.column;
+    return query(
+      `SELECT ${value} AS value, COUNT(*) FROM ${from}
+       GROUP BY 1 HAVING ${value} IS NOT NULL ORDER BY 2 DESC, 1 ${facet.limit ? `LIMIT ${facet.limit}` : ''}`,
+      params
+    );
+  }));
+
+  return Object.fromEntries(facets.map((name, index) => {
+    const counts = results[index].rows.map(row => ({ value: row.value, count: parseInt(row.count, 10) }));
+    const { values } = FACETS[name];
+    if (!values) return [name, counts];
+    const found = new Set(counts.map(entry => entry.value));
+    return [name, [...counts, ...values.filter(value => !found.has(value)).map(value => ({ value, count: 0 }))]];
+  }));
+};
+
+const listAllProposals = async (query) => {
+  const result = await query('SELECT * FROM proposals ORDER BY created_at DESC');
+  return result.rows;
+};
+
+// Title and link of every stored proposal, as "title|link"
+const listProposalKeys = async (query) => {
+  const result = await query('SELECT title, link FROM proposals');
+  return new Set(result.rows.map(row => `${row.title}|${row.link}`));
+};
+
+// Values of the type, tag and eligibility filters with counts of calls that
+// are not closed, every known value included
+const CATEGORY_COLUMNS = [
+  ['types', 'proposal_type', PROPOSAL_TYPES],
+  ['tags', 'tags', SUBJECT_TAGS],
+  ['careerStages', 'career_stages', CAREER_STAGES],
+  ['institutionTypes', 'institution_types', INSTITUTION_TYPES],
+  ['nationalities', 'nationalities', NATIONALITIES]
+];
+
+const countCategories = async (query) => {
+  const results = await Promise.all(CATEGORY_COLUMNS.map(([, column]) => query(
+    column === 'proposal_type'
+      ? `SELECT proposal_type AS value, COUNT(*) FROM proposals WHERE ${NOT_CLOSED_SQL} GROUP BY proposal_type`
+      : `SELECT value, COUNT(*) FROM proposals, unnest(${column}) AS value WHERE ${NOT_CLOSED_SQL} GROUP BY value`
+  )));
+
+  const categories = {};
+  CATEGORY_COLUMNS.forEach(([key, , values], index) => {
+    const counts = new Map(results[index].rows.map(row => [row.value, parseInt(row.count, 10)]));
+    categories[key] = values.map(value => ({ value, count: counts.get(value) || 0 }));
+  });
+  return categories;
+};
+
+// The proposal fields shown next to its revision history, or null
+const getProposalSummary = async (query, id) => {
+  const result = await query(
+    `SELECT id, title, agency, deadline, deadline_text, deadline_kind, status, deadline_extended, previous_deadline,
+            first_seen_at, last_seen_at, updated_at
+     FROM proposals WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  SORTS,
+  FACETS,
+  buildProposalFilters,
+  listProposals,
+  countFacets,
+  listAllProposals,
+  listProposalKeys,
+  countCategories,
+  getProposalSummary
+};
@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+
+// Extraction quality against hand-labelled pages. A golden set is one JSON
+// file in fixtures/golden (GOLDEN_DIR), named after what it covers:
+//   {
+//     "source": "vit",                        registered source id, or
+//     "definition": "fixtures/sources/x.yaml" a source definition file, or
+//     "feedConfig": "fixtures/feeds/feeds.json" (with "source")
+//     "pages": [{
+//       "url": "https://...",
+//       "fixture": "fixtures/sources/x.html", saved page; defaults to the
+//                                             recorded fixture for url
+//       "recordedAt": "2025-02-10T06:00:00Z"  when the page was saved; dates
+//                                             are read as of then. Required
+//                                             unless the fixture records it
+//       "pdfs": { "https://.../x.pdf": "fixtures/sources/x.pdf" }
+//                                             local copies of linked PDFs,
+//                                             read by the PDF stage
+//       "expected": [{ "title", "agency", "deadline", "link" }]
+//     }]
+//   }
+// `deadline` is the proposal's endDate as the scraper writes it: an ISO date,
+// "Rolling Deadline" or "Not specified". A call listed without a link is
+// labelled with "link": null; the scraper cannot keep it, so it counts as missed.
+// Every set is scored per field with precision (correct / extracted) and
+// recall (correct / expected), and checked against baseline.json.
+const DEFAULT_GOLDEN_DIR = path.join(__dirname, '..', 'fixtures', 'golden');
+const BASELINE_FILE = 'baseline.json';
+
+const FIELDS = ['title', 'agency', 'deadline', 'link'];
+
+// Scores can move by rounding only
+const TOLERANCE = 0.0001;
+
+const getGoldenDir = () => process.env.GOLDEN_DIR || DEFAULT_GOLDEN_DIR;
+
+// Behaviour cases run with the golden sets, for the edge cases a scored page
+// cannot show. One JSON file per function in fixtures/cases (CASES_DIR):
+//   { "check": "deadlineColumns", "cases": [{ "name", "input", "expected" }] }
+// `check` names one of the functions the harness exposes (CASE_CHECKS in
+// scraper.js). "expected": { "error": "CODE" } means the call must throw an
+// error with that code. Every case must pass; there is no baseline.
+const DEFAULT_CASES_DIR = path.join(__dirname, '..', 'fixtures', 'cases');
+
+const getCasesDir = () => process.env.CASES_DIR || DEFAULT_CASES_DIR;
+
+const loadCaseFiles = (dir = getCasesDir()) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => ({ name: name.replace(/\.json$/, ''), ...JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')) }));
+};
+
+// { passed, actual } for one case; a thrown error becomes { error: code }
+const runCase = (check, { input, expected }) => {
+  let actual;
+  try {
+    actual = check(input);
+  } catch (error) {
+    actual = { error: error.code || error.message };
+  }
+  return { passed: isDeepStrictEqual(actual, expected), actual };
+};
+
+const loadGoldenSets = (dir = getGoldenDir()) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json') && name !== BASELINE_FILE)
+    .sort()
+    .map(name => ({ name: name.replace(/\.json$/, ''), ...JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')) }));
+};
+
+const loadBaseline = (dir = getGoldenDir()) => {
+  const file = path.join(dir, BASELINE_FILE);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+};
+
+const saveBaseline = (baseline, dir = getGoldenDir()) => {
+  const file = path.join(dir, BASELINE_FILE);
+  fs.writeFileSync(file, `${JSON.stringify(baseline, null, 2)}\n`);
+  return file;
+};
+
+const normalizeText = (value) => (value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+const normalizeLink = (value) => {
+  if (!value) return null;
+  try {
+    const url = new URL(value);
+    url.hash = '';
+    return url.href.replace(/\/$/, '');
+  } catch {
+    return value.trim();
+  }
+};
+
+const fieldValue = (proposal, field) => {
+  if (field === 'link') return normalizeLink(proposal.link);
+  if (field === 'deadline') return proposal.deadline !== undefined ? proposal.deadline : proposal.endDate;
+  return normalizeText(proposal[field]);
+};
+
+const words = (text) => new Set(normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean));
+
+const titleOverlap = (a, b) => {
+  const left = words(a);
+  const right = words(b);
+  const shared = [...left].filter(word => right.has(word)).length;
+  return shared / Math.max(left.size, right.size, 1);
+};
+
+// Pair expected and extracted proposals: same title and link first, then the
+// same title, then the same link with a similar title. A wrong field on a
+// paired proposal lowers that field's score instead of the proposal count.
+const matchProposals = (expected, extracted) => {
+  const pairs = [];
+  const usedExpected = new Set();
+  const usedExtracted = new Set();
+  const passes = [
+    (e, x) => fieldValue(e, 'title') === fieldValue(x, 'title') && fieldValue(e, 'link') === fieldValue(x, 'link'),
+    (e, x) => fieldValue(e, 'title') === fieldValue(x, 'title'),
+    (e, x) => e.link && fieldValue(e, 'link') === fieldValue(x, 'link') && titleOverlap(e.title, x.title) >= 0.5
+  ];
+
+  for (const sameProposal of passes) {
+    expected.forEach((e, i) => {
+      if (usedExpected.has(i)) return;
+      const j = extracted.findIndex((x, index) => !usedExtracted.has(index) && sameProposal(e, x));
+      if (j === -1) return;
+      usedExpected.add(i);
+      usedExtracted.add(j);
+      pairs.push({ expected: e, extracted: extracted[j] });
+    });
+  }
+
+  return {
+    pairs,
+    missed: expected.filter((e, i) => !usedExpected.has(i)),
+    unexpected: extracted.filter((x, j) => !usedExtracted.has(j))
+  };
+};
+
+const ratio = (correct, total) => total === 0 ? 1 : Number((correct / total).toFixed(4));
+
+// Scores for one set of pages: { proposals, title, agency, deadline, link },
+// each { precision, recall }, plus the mistakes behind them
+const scoreExtraction = (pages) => {
+  const totals = { expected: 0, extracted: 0, matched: 0 };
+  const correct = Object.fromEntries(FIELDS.map(field => [field, 0]));
+  const mistakes = { missed: [], unexpected: [], fields: [] };
+
+  for (const { expected, extracted } of pages) {
+    const { pairs, missed, unexpected } = matchProposals(expected, extracted);
+    totals.expected += expected.length;
+    totals.extracted += extracted.length;
+    totals.matched += pairs.length;
+    mistakes.missed.push(...missed);
+    mistakes.unexpected.push(...unexpected);
+
+    for (const pair of pairs) {
+      for (const field of FIELDS) {
+        const want = fieldValue(pair.expected, field);
+        const got = fieldValue(pair.extracted, field);
+        if (want === got) {
+          correct[field]++;
+        } else {
+          mistakes.fields.push({ field, title: pair.expected.title, expected: want, extracted: got });
+        }
+      }
+    }
+  }
+
+  const scores = {
+    proposals: { precision: ratio(totals.matched, totals.extracted), recall: ratio(totals.matched, totals.expected) }
+  };
+  FIELDS.forEach(field => {
+    scores[field] = { precision: ratio(correct[field], totals.extracted), recall: ratio(correct[field], totals.expected) };
+  });
+  return { totals, scores, mistakes };
+};
+
+// Every score that fell below the baseline, as { metric, baseline, current }
+const findRegressions = (scores, baseline) => {
+  if (!baseline) return [];
+  const regressions = [];
+  for (const [field, values] of Object.entries(baseline)) {
+    for (const [measure, expected] of Object.entries(values)) {
+      const current = scores[field] ? scores[field][measure] : 0;
+      if (current < expected - TOLERANCE) {
+        regressions.push({ metric: `${field} ${measure}`, baseline: expected, current });
+      }
+    }
+  }
+  return regressions;
+};
+
+const findImprovements = (scores, baseline) => {
+  if (!baseline) return [];
+  return Object.entries(scores).flatMap(([field, values]) =>
+    Object.entries(values)
+      .filter(([measure, current]) => baseline[field] && current > baseline[field][measure] + TOLERANCE)
+      .map(([measure]) => `${field} ${measure}`));
+};
+
+module.exports = {
+  FIELDS,
+  getGoldenDir,
+  loadGoldenSets,
+  getCasesDir,
+  loadCaseFiles,
+  runCase,
+  loadBaseline,
+  saveBaseline,
+  matchProposals,
+  scoreExtraction,
+  findRegressions,
+  findImprovements
+};
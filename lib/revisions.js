@@ -0,0 +1,61 @@
+// Field-level change history for proposals. Every change a scrape run makes to
+// a tracked field is stored in proposal_revisions with the run that saw it.
+// [field name in the history, proposal field, column holding the stored text]
+const TRACKED_FIELDS = [
+  ['title', 'title', 'title'],
+  ['agency', 'agency', 'agency'],
+  ['from_date', 'startDate', 'from_date_text'],
+  ['deadline', 'endDate', 'deadline_text'],
+  ['link', 'link', 'link']
+];
+
+// Values that mean "the source did not say", which must not overwrite what we know
+const isBlank = (value) => value === null || value === undefined || value === '' || value === 'Not specified';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// A dated deadline moved later. Rolling -> dated is a correction, not an extension.
+const isExtension = (oldValue, newValue) =>
+  ISO_DATE.test(oldValue || '') && ISO_DATE.test(newValue || '') && newValue > oldValue;
+
+// Compare a stored row with a freshly scraped proposal
+const diffProposal = (row, proposal) => {
+  const changes = [];
+  for (const [name, field, column] of TRACKED_FIELDS) {
+    const newValue = proposal[field];
+    if (isBlank(newValue)) continue;
+    if ((row[column] ?? null) !== newValue) {
+      changes.push({ field: name, oldValue: row[column] ?? null, newValue });
+    }
+  }
+  return changes;
+};
+
+const recordRevisions = async (client, proposalId, runId, changes, changedAt) => {
+  for (const change of changes) {
+    await client.query(
+      `INSERT INTO proposal_revisions (proposal_id, run_id, field, old_value, new_value, changed_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [proposalId, runId, change.field, change.oldValue, change.newValue, changedAt]
+    );
+  }
+};
+
+const getHistory = async (query, proposalId) => {
+  const result = await query(
+    `SELECT id, run_id, field, old_value, new_value, changed_at
+     FROM proposal_revisions WHERE proposal_id = $1
+     ORDER BY changed_at ASC, id ASC`,
+    [proposalId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  isBlank,
+  isExtension,
+  diffProposal,
+  recordRevisions,
+  getHistory
+};
@@ -0,0 +1,121 @@
+// Scrape run ledger. Each run of the scraper gets a scrape_runs row, and each
+// page it fetched a scrape_run_sources row with the fetch result and how many
+// proposals it contributed:
+//   found     proposals extracted from the page
+//   new       inserted as new proposals
+//   updated   already known, and at least one field changed
+//   rejected  dropped: merged into another source's listing of the same call
+//
+// Run status: running | succeeded | partial (some pages failed) | failed
+const startRun = async (client, { id, startedAt, mode, sourcesTotal }) => {
+  await client.query(
+    `INSERT INTO scrape_runs (id, started_at, status, mode, sources_total)
+     VALUES ($1, $2, 'running', $3, $4)`,
+    [id, startedAt, mode, sourcesTotal]
+  );
+};
+
+// Result for one fetched page, filled in as the run goes
+const createSourceResult = (source, url, fetcher) => ({
+  sourceId: source.id,
+  url,
+  fetcher,
+  startedAt: new Date(),
+  finishedAt: null,
+  status: 'running',
+  httpStatus: null,
+  error: null,
+  structureHash: null,
+  found: 0,
+  new: 0,
+  updated: 0,
+  rejected: 0
+});
+
+const finishSourceResult = (result, { status, httpStatus = null, error = null, found = 0, structureHash = null }) => {
+  Object.assign(result, { status, httpStatus, error, found, structureHash, finishedAt: new Date() });
+  return result;
+};
+
+// Attribute the outcome of saving each canonical proposal back to the page it
+// came from. Listings merged into another page's proposal count as rejected.
+const tallyResults = (results, { found, kept, saved = [] }) => {
+  const byPage = (proposal) => results.find(r => r.sourceId === proposal.sourceId && r.url === proposal.pageUrl);
+
+  const keptCount = new Map();
+  for (const proposal of kept) {
+    const result = byPage(proposal);
+    if (result) keptCount.set(result, (keptCount.get(result) || 0) + 1);
+  }
+  for (const result of results) {
+    result.rejected = Math.max(0, result.found - (keptCount.get(result) || 0));
+  }
+
+  for (const { proposal, inserted, changed } of saved) {
+    const result = byPage(proposal);
+    if (!result) continue;
+    if (inserted) result.new++;
+    else if (changed) result.updated++;
+  }
+
+  return {
+    found: found.length,
+    new: results.reduce((sum, r) => sum + r.new, 0),
+    updated: results.reduce((sum, r) => sum + r.updated, 0),
+    rejected: results.reduce((sum, r) => sum + r.rejected, 0)
+  };
+};
+
+const finishRun = async (client, runId, { results, totals, error = null }) => {
+  for (const r of results) {
+    await client.query(
+      `INSERT INTO scrape_run_sources (run_id, source_id, url, fetcher, started_at, finished_at, status,
+                                       http_status, error, proposals_found, proposals_new, proposals_updated,
+                                       proposals_rejected, structure_hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+      [runId, r.sourceId, r.url, r.fetcher, r.startedAt, r.finishedAt, r.status, r.httpStatus, r.error,
+        r.found, r.new, r.updated, r.rejected, r.structureHash]
+    );
+  }
+
+  const failed = results.filter(r => r.status !== 'ok').length;
+  const status = error || (results.length > 0 && failed === results.length)
+    ? 'failed'
+    : failed > 0 ? 'partial' : 'succeeded';
+
+  await client.query(
+    `UPDATE scrape_runs SET finished_at = NOW(), status = $2, sources_failed = $3,
+       proposals_found = $4, proposals_new = $5, proposals_updated = $6, proposals_rejected = $7, error = $8
+     WHERE id = $1`,
+    [runId, status, failed, totals.found, totals.new, totals.updated, totals.rejected, error]
+  );
+  return status;
+};
+
+const listRuns = async (query, { limit = 20 } = {}) => {
+  const result = await query(
+    `SELECT * FROM scrape_runs ORDER BY started_at DESC LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+};
+
+const getRun = async (query, runId) => {
+  const run = await query('SELECT * FROM scrape_runs WHERE id = $1', [runId]);
+  if (run.rows.length === 0) return null;
+  const sources = await query(
+    'SELECT * FROM scrape_run_sources WHERE run_id = $1 ORDER BY started_at ASC, id ASC',
+    [runId]
+  );
+  return { ...run.rows[0], sources: sources.rows };
+};
+
+module.exports = {
+  startRun,
+  createSourceResult,
+  finishSourceResult,
+  tallyResults,
+  finishRun,
+  listRuns,
+  getRun
+};
@@ -0,0 +1,162 @@
+// In-process scrape scheduler. Every source has a cron schedule in IST (its
+// adapter's `schedule`, SCRAPE_SCHEDULES overrides, or SCRAPE_SCHEDULE). Once a
+// minute the scheduler checks which sources are due and starts one scrape job
+// for all of them:
+//   - due means the next slot after the source's last recorded run (from the
+//     scrape run ledger) has passed, so slots missed while the server was down
+//     are caught up once on startup rather than skipped or replayed one by one
+//   - a source with no recorded run waits for its first slot after the
+//     scheduler started, so a fresh server does not scrape every site at once
+//   - each source's slot is offset by a stable jitter so the agency sites are
+//     not all hit on the same minute
+//   - nothing starts while a scrape job is running; the advisory lock in
+//     runScrape also keeps CLI and API scrapes from overlapping
+const crypto = require('crypto');
+const { parseCron, nextRun } = require('./cron');
+
+const DEFAULT_SCHEDULE = '0 6 * * *'; // daily 06:00 IST
+const TICK_MS = 60 * 1000;
+
+const getDefaultSchedule = () => process.env.SCRAPE_SCHEDULE || DEFAULT_SCHEDULE;
+const getJitterMs = () => {
+  const minutes = parseInt(process.env.SCRAPE_JITTER_MINUTES, 10);
+  return (Number.isNaN(minutes) ? 10 : Math.max(minutes, 0)) * 60 * 1000;
+};
+
+const invalidSetting = (setting, message) => {
+  const error = new Error(`Invalid ${setting}: ${message}`);
+  error.code = 'INVALID_SCHEDULE';
+  return error;
+};
+
+// SCRAPE_SCHEDULES="nasi=0 7 * * 1; dst=0 */12 * * *"
+const parseOverrides = (text = process.env.SCRAPE_SCHEDULES || '') => {
+  const overrides = {};
+  for (const entry of text.split(';').map(part => part.trim()).filter(Boolean)) {
+    const [id, expression] = entry.split('=').map(part => part && part.trim());
+    if (!id || !expression) {
+      throw invalidSetting('SCRAPE_SCHEDULES', `"${entry}" is not <source id>=<cron expression>`);
+    }
+    try {
+      parseCron(expression);
+    } catch (error) {
+      throw invalidSetting('SCRAPE_SCHEDULES', `${id}: ${error.message}`);
+    }
+    overrides[id.toLowerCase()] = expression;
+  }
+  return overrides;
+};
+
+// SCRAPE_SCHEDULE and SCRAPE_SCHEDULES, for the server to check before it
+// starts; throws with code INVALID_SCHEDULE
+const checkScheduleSettings = () => {
+  try {
+    parseCron(getDefaultSchedule());
+  } catch (error) {
+    throw invalidSetting('SCRAPE_SCHEDULE', error.message);
+  }
+  parseOverrides();
+};
+
+const scheduleFor = (source, overrides) => overrides[source.id] || source.schedule || getDefaultSchedule();
+
+// Same source and slot always get the same offset, so the reported next run
+// time does not move between requests
+const jitterFor = (sourceId, slot, jitterMs) => {
+  if (jitterMs <= 0) return 0;
+  const hash = crypto.createHash('sha1').update(`${sourceId}|${slot.toISOString()}`).digest();
+  return hash.readUInt32BE(0) % jitterMs;
+};
+
+const getLastRuns = async (query) => {
+  const result = await query(
+    `SELECT source_id, MAX(started_at) AS last_run_at FROM scrape_run_sources GROUP BY source_id`
+  );
+  return new Map(result.rows.map(row => [row.source_id, new Date(row.last_run_at)]));
+};
+
+// `query(sql, params)` reads the ledger, `startScrape(sourceIds)` starts a job
+// and throws with code JOB_ALREADY_RUNNING when one is active
+const createScheduler = ({ getSources, query, startScrape, isBusy = () => false }) => {
+  const overrides = parseOverrides();
+  let timer = null;
+  let lastTick = null;
+  let lastStarted = null;
+  // First slots of sources that never ran are counted from here
+  let startedAt = new Date();
+  // Jobs that failed before reaching the ledger must not be retried every minute
+  const lastAttempts = new Map();
+
+  const getSchedule = async (now = new Date()) => {
+    const lastRuns = await getLastRuns(query);
+    const jitterMs = getJitterMs();
+
+    return getSources().map(source => {
+      const expression = scheduleFor(source, overrides);
+      const recorded = lastRuns.get(source.id) || null;
+      const attempted = lastAttempts.get(source.id) || null;
+      const lastRunAt = recorded && attempted ? new Date(Math.max(recorded, attempted)) : recorded || attempted;
+      // A source that never ran gets the first slot after the scheduler started
+      const slot = nextRun(expression, lastRunAt || startedAt);
+      const nextRunAt = new Date(slot.getTime() + jitterFor(source.id, slot, jitterMs));
+      return {
+        sourceId: source.id,
+        schedule: expression,
+        lastRunAt,
+        nextRunAt,
+        due: nextRunAt <= now
+      };
+    });
+  };
+
+  const tick = async (now = new Date()) => {
+    lastTick = now;
+    if (isBusy()) return null;
+
+    const due = (await getSchedule(now)).filter(entry => entry.due).map(entry => entry.sourceId);
+    if (due.length === 0) return null;
+
+    try {
+      const job = await startScrape(due);
+      due.forEach(sourceId => lastAttempts.set(sourceId, now));
+      lastStarted = { jobId: job.id, sources: due, at: now };
+      console.log(`⏰ Scheduled scrape ${job.id} started for ${due.join(', ')}`);
+      return job;
+    } catch (error) {
+      if (error.code === 'JOB_ALREADY_RUNNING') return null;
+      throw error;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    startedAt = new Date();
+    const run = () => tick().catch(error => console.error('❌ Scheduler tick failed:', error.message));
+    timer = setInterval(run, TICK_MS);
+    timer.unref();
+    setTimeout(run, 5000).unref(); // catch up shortly after startup
+    console.log(`⏰ Scheduler started (default schedule "${getDefaultSchedule()}" IST)`);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const getState = () => ({
+    enabled: Boolean(timer),
+    defaultSchedule: getDefaultSchedule(),
+    jitterMinutes: getJitterMs() / 60000,
+    lastTick,
+    lastStarted
+  });
+
+  return { start, stop, tick, getSchedule, getState };
+};
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  parseOverrides,
+  checkScheduleSettings,
+  createScheduler
+};
@@ -0,0 +1,126 @@
+// Ranked proposal search over title, agency, type, tags and summary:
+//   - full text with English stemming ("fellowships" finds "fellowship")
+//   - prefix matching for words of three letters or more ("fellow" finds "fellowship")
+//   - acronyms expanded both ways (SYNONYMS), "SERB" also finds "ANRF"
+//   - typo tolerance through trigram similarity on the title ("felowship"),
+//     for queries of five characters or more
+// Used through listProposals (lib/proposals.js): results are ranked by
+// relevance and carry the title and a summary snippet as HTML-escaped text with
+// the matches wrapped in <mark>.
+
+// Each group lists names of the same thing; a query naming one searches all
+const SYNONYMS = [
+  ['serb', 'anrf', 'science and engineering research board', 'anusandhan national research foundation'],
+  ['jrf', 'junior research fellowship'],
+  ['srf', 'senior research fellowship'],
+  ['npdf', 'national post doctoral fellowship', 'national postdoctoral fellowship'],
+  ['dst', 'department of science and technology'],
+  ['dbt', 'department of biotechnology'],
+  ['icmr', 'indian council of medical research'],
+  ['csir', 'council of scientific and industrial research'],
+  ['birac', 'biotechnology industry research assistance council'],
+  ['ugc', 'university grants commission'],
+  ['icssr', 'indian council of social science research'],
+  ['drdo', 'defence research and development organisation'],
+  ['isro', 'indian space research organisation'],
+  ['meity', 'ministry of electronics and information technology'],
+  ['igstc', 'indo german science and technology centre'],
+  ['cefipra', 'indo french centre for the promotion of advanced research'],
+  ['r&d', 'research and development']
+];
+
+// Must stay the expression indexed by migration 003
+const SEARCH_VECTOR_SQL = 'proposal_search_vector(title, agency, proposal_type, tags, summary)';
+
+const MAX_TERMS = 12;
+const MIN_PREFIX_LENGTH = 3;
+// Trigrams of shorter queries are too few to tell a typo from another word
+// ("serb" would find "serum")
+const MIN_FUZZY_LENGTH = 5;
+const HIGHLIGHT = 'StartSel=<mark>, StopSel=</mark>';
+
+// Scraped text is escaped before highlighting, so the only markup in a
+// highlight is the <mark> tags ts_headline adds
+const HTML_ESCAPES = [['&', '&amp;'], ['<', '&lt;'], ['>', '&gt;'], ['"', '&quot;'], ["'", '&#39;']];
+const escapeHtmlSql = (expression) => HTML_ESCAPES.reduce(
+  (sql, [char, entity]) => `replace(${sql}, '${char.replace(/'/g, "''")}', '${entity}')`,
+  expression
+);
+
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean);
+
+const SYNONYM_GROUPS = SYNONYMS.map(group => group.map(tokenize));
+
+// Longest synonym phrase starting at words[index], as { length, group }
+const matchSynonym = (words, index) => {
+  let best = null;
+  for (const group of SYNONYM_GROUPS) {
+    for (const phrase of group) {
+      const matches = phrase.length <= words.length - index && phrase.every((word, i) => words[index + i] === word);
+      if (matches && (!best || phrase.length > best.length)) best = { length: phrase.length, group };
+    }
+  }
+  return best;
+};
+
+const phraseQuery = (phrase) => phrase.join(' <-> ');
+
+const termQuery = (word) => word.length >= MIN_PREFIX_LENGTH ? `${word}:*` : word;
+
+// The tsquery source for `text`: every word (or synonym phrase) must match,
+// with synonyms as alternatives. Words are letters and digits only, so the
+// result cannot carry tsquery operators of its own. Null without any words.
+const parseSearchQuery = (text) => {
+  const words = tokenize(text).slice(0, MAX_TERMS);
+  if (words.length === 0) return null;
+
+  const groups = [];
+  for (let index = 0; index < words.length;) {
+    const synonym = matchSynonym(words, index);
+    if (synonym) {
+      groups.push(`(${synonym.group.map(phraseQuery).join(' | ')})`);
+      index += synonym.length;
+    } else {
+      groups.push(termQuery(words[index]));
+      index++;
+    }
+  }
+  return { text: words.join(' '), tsquery: groups.join(' & ') };
+};
+
+// SQL for a search on `text` inside a proposals query. `param(value)` adds a
+// query parameter and returns its placeholder. `condition` goes in WHERE;
+// `rank` and `highlights` take a `param` of their own, so a query that only
+// filters (a COUNT) does not carry their parameters. Null when the text has no
+// words to search for.
+const searchSql = (text, param) => {
+  const parsed = parseSearchQuery(text);
+  if (!parsed) return null;
+
+  const tsquery = (p) => `to_tsquery('english', ${p(parsed.tsquery)})`;
+  const fullText = `${SEARCH_VECTOR_SQL} @@ ${tsquery(param)}`;
+  return {
+    tsquery: parsed.tsquery,
+    condition: parsed.text.length >= MIN_FUZZY_LENGTH ? `(${fullText} OR ${param(parsed.text)} <% title)` : fullText,
+    // float8 so the value survives a round trip through a cursor
+    rank: (p) => `(ts_rank_cd(${SEARCH_VECTOR_SQL}, ${tsquery(p)}, 32) + 0.5 * word_similarity(${p(parsed.text)}, title))::float8`,
+    highlights: (p) => {
+      const query = tsquery(p);
+      return `ts_headline('english', ${escapeHtmlSql('title')}, ${query}, 'HighlightAll=true, ${HIGHLIGHT}') AS title_highlight,
+        CASE WHEN summary IS NOT NULL THEN
+          ts_headline('english', ${escapeHtmlSql('summary')}, ${query}, 'MaxWords=35, MinWords=15, MaxFragments=2, ${HIGHLIGHT}')
+        END AS summary_snippet`;
+    }
+  };
+};
+
+module.exports = {
+  SYNONYMS,
+  SEARCH_VECTOR_SQL,
+  parseSearchQuery,
+  searchSql
+};
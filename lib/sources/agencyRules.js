@@ -0,0 +1,47 @@
+// Agency attribution for aggregator pages, which republish calls from many
+// funding bodies. A source definition lists the agency codes to look for and
+// URL fragments that identify an agency's site:
+//   agency:
+//     codes: [DST, DBT, SERB]
+//     linkHints: { dst.gov.in: DST, dbt: DBT }
+//     default: Multiple Agencies
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const createAgencyResolver = ({ codes = [], linkHints = {}, default: fallback = 'Multiple Agencies' } = {}) => {
+  const alternation = codes.map(escapeRegExp).join('|');
+  const exactCode = new RegExp(`^(${alternation})$`, 'i');
+  const patterns = codes.length === 0 ? [] : [
+    ...codes.map(code => new RegExp(`\\|\\s*(${escapeRegExp(code)})\\s*\\|`, 'i')),
+    new RegExp(`Agency:\\s*(${alternation})`, 'i'),
+    new RegExp(`Department.*?:\\s*(${alternation})`, 'i')
+  ];
+  const hints = Object.entries(linkHints);
+
+  // `content` is the row or block the title was found in
+  return (content, title, { columns } = {}) => {
+    // A column holding nothing but a code is the agency column
+    if (columns && codes.length > 0) {
+      const agencyCol = columns.find(col => exactCode.test(col));
+      if (agencyCol) return agencyCol.toUpperCase();
+    }
+
+    for (const pattern of patterns) {
+      const match = (content || '').match(pattern);
+      if (match) return match[1].toUpperCase();
+    }
+
+    const titleAgency = codes.find(code => new RegExp(escapeRegExp(code), 'i').test(title || ''));
+    if (titleAgency) return titleAgency;
+
+    // The first link in the row, for agency clues in its URL
+    const link = (content || '').match(/https?:\/\/[^\s)]+/);
+    if (link) {
+      const hint = hints.find(([fragment]) => link[0].includes(fragment));
+      if (hint) return hint[1];
+    }
+
+    return fallback;
+  };
+};
+
+module.exports = { createAgencyResolver };
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { registerSource } = require('./registry');
+const { createConfigSource } = require('./configSource');
+
+// Every .yaml, .yml or .json file in config/sources (or SOURCES_CONFIG_DIR)
+// holds one source definition, or a list of them; see ./configSource.js for
+// the format. Definitions are validated when the scraper or API starts and
+// all problems are reported at once, naming the file they are in.
+//   node scraper.js --validate-source <id|file> [saved-page.html]
+// shows what a definition extracts from a saved page.
+const DEFAULT_SOURCES_DIR = path.join(__dirname, '..', '..', 'config', 'sources');
+
+const SOURCE_FILE = /\.(ya?ml|json)$/i;
+
+const readSourceFile = (file) => {
+  const content = fs.readFileSync(file, 'utf8');
+  const parsed = /\.json$/i.test(file) ? JSON.parse(content) : yaml.load(content);
+  return Array.isArray(parsed) ? parsed : [parsed];
+};
+
+const loadSourceConfigs = (dir = process.env.SOURCES_CONFIG_DIR || DEFAULT_SOURCES_DIR) => {
+  if (!fs.existsSync(dir)) return [];
+
+  const sources = [];
+  const problems = [];
+  const files = fs.readdirSync(dir).filter(name => SOURCE_FILE.test(name)).sort();
+  for (const name of files) {
+    const file = path.join(dir, name);
+    let definitions;
+    try {
+      definitions = readSourceFile(file);
+    } catch (error) {
+      problems.push(`${name}: cannot be read (${error.message.split('\n')[0]})`);
+      continue;
+    }
+    for (const definition of definitions) {
+      try {
+        sources.push(createConfigSource(definition, { file: name }));
+      } catch (error) {
+        if (error.code !== 'INVALID_SOURCE_DEFINITION') throw error;
+        problems.push(error.message);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    const error = new Error(`Invalid source configuration in ${dir}:\n${problems.join('\n')}`);
+    error.code = 'INVALID_SOURCE_CONFIG';
+    throw error;
+  }
+  return sources;
+};
+
+const CONFIG_SOURCES = loadSourceConfigs().map(registerSource);
+
+module.exports = { CONFIG_SOURCES, DEFAULT_SOURCES_DIR, readSourceFile, loadSourceConfigs };
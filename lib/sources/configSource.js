@@ -0,0 +1,307 @@
+const { JSDOM } = require('jsdom');
+const { format } = require('date-fns');
+const { parseCron } = require('../cron');
+const { getFetcherNames } = require('../fetchers');
+const { extractProposals, isTableProposal } = require('../extract');
+const { extractWithSelectors, parseField } = require('../extract/selectors');
+const { extractProposalsFromFeed } = require('../extract/feed');
+const { createAgencyResolver } = require('./agencyRules');
+
+// Sources described as data (config/sources/*.yaml or *.json) instead of code.
+//   id            lower-case letters, digits and dashes
+//   name          human readable name (defaults to the agency code)
+//   urls          pages to fetch
+//   fetcher       firecrawl (default), puppeteer or http
+//   fetchOptions  passed to the fetch backend, e.g. { waitFor: 5000 }
+//   schedule      cron expression in IST (default SCRAPE_SCHEDULE)
+//   agency        agency code for single-agency sites, or attribution rules
+//                 for aggregators (see ./agencyRules.js)
+//   extract       how proposals are read from the page:
+//                   type: auto   table/markdown heuristics (the default)
+//                   type: table  table, columns { title, link, startDate, endDate, agency }
+//                   type: list   items, fields { title, link, startDate, endDate, agency }
+//                   type: feed   RSS / Atom / sitemap, maxAgeDays
+//                 table and list rows still go through the classifier unless
+//                 `classify: false`
+//   dateFormats   date-fns formats for table and list dates, e.g. ["dd/MM/yyyy"]
+//   links         include / exclude keywords matched against title and link;
+//                 sameHost: true keeps links into the source's own site (auto)
+const SOURCE_KEYS = ['id', 'name', 'agency', 'urls', 'fetcher', 'fetchOptions', 'schedule', 'extract', 'dateFormats', 'links'];
+const AGENCY_KEYS = ['codes', 'linkHints', 'default'];
+const LINK_KEYS = ['include', 'exclude', 'sameHost'];
+const FIELDS = ['title', 'link', 'startDate', 'endDate', 'agency'];
+
+const EXTRACT_KEYS = {
+  auto: ['type'],
+  table: ['type', 'table', 'columns', 'classify'],
+  list: ['type', 'items', 'fields', 'classify'],
+  feed: ['type', 'maxAgeDays']
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+const unknownKeys = (object, allowed, prefix, errors) => {
+  Object.keys(object)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => errors.push(`${prefix}${key} is not a known setting (expected one of: ${allowed.join(', ')})`));
+};
+
+// Selectors are checked against an empty document so typos fail at startup
+let selectorDocument = null;
+const checkSelector = (selector, label, errors) => {
+  if (typeof selector !== 'string' || !selector.trim()) {
+    errors.push(`${label} must be a CSS selector`);
+    return;
+  }
+  selectorDocument = selectorDocument || new JSDOM('').window.document;
+  try {
+    selectorDocument.querySelector(selector);
+  } catch {
+    errors.push(`${label} "${selector}" is not a valid CSS selector`);
+  }
+};
+
+const validateAgency = (agency, errors) => {
+  if (agency === undefined || agency === null || (typeof agency === 'string' && agency.trim())) return;
+  if (!isObject(agency)) {
+    errors.push('agency must be an agency code or { codes, linkHints, default }');
+    return;
+  }
+  unknownKeys(agency, AGENCY_KEYS, 'agency.', errors);
+  if (!isStringList(agency.codes) || agency.codes.length === 0) {
+    errors.push('agency.codes must be a non-empty list of agency codes');
+  }
+  if (agency.linkHints !== undefined
+    && (!isObject(agency.linkHints) || !Object.values(agency.linkHints).every(code => typeof code === 'string'))) {
+    errors.push('agency.linkHints must map URL fragments to agency codes');
+  }
+  if (agency.default !== undefined && typeof agency.default !== 'string') {
+    errors.push('agency.default must be a string');
+  }
+};
+
+const validateExtract = (extract, errors) => {
+  if (!isObject(extract)) {
+    errors.push('extract must be an object');
+    return null;
+  }
+  const type = extract.type || 'auto';
+  if (!EXTRACT_KEYS[type]) {
+    errors.push(`extract.type "${type}" must be one of: ${Object.keys(EXTRACT_KEYS).join(', ')}`);
+    return null;
+  }
+  unknownKeys(extract, EXTRACT_KEYS[type], 'extract.', errors);
+  if (extract.classify !== undefined && typeof extract.classify !== 'boolean') {
+    errors.push('extract.classify must be true or false');
+  }
+
+  if (type === 'table') {
+    if (extract.table !== undefined) checkSelector(extract.table, 'extract.table', errors);
+    if (!isObject(extract.columns)) {
+      errors.push('extract.columns must map fields to a column number or header text');
+    } else {
+      unknownKeys(extract.columns, FIELDS, 'extract.columns.', errors);
+      if (extract.columns.title === undefined) errors.push('extract.columns.title is required');
+      Object.entries(extract.columns).forEach(([field, column]) => {
+        const valid = (Number.isInteger(column) && column >= 0) || (typeof column === 'string' && column.trim());
+        if (!valid) errors.push(`extract.columns.${field} must be a 0-based column number or header text`);
+      });
+    }
+  }
+
+  if (type === 'list') {
+    checkSelector(extract.items, 'extract.items', errors);
+    if (!isObject(extract.fields)) {
+      errors.push('extract.fields must map fields to CSS selectors');
+    } else {
+      unknownKeys(extract.fields, FIELDS, 'extract.fields.', errors);
+      if (extract.fields.title === undefined) errors.push('extract.fields.title is required');
+      Object.entries(extract.fields).forEach(([field, spec]) => {
+        if (typeof spec !== 'string' || !spec.trim()) {
+          errors.push(`extract.fields.${field} must be a CSS selector, optionally ending in @attribute`);
+          return;
+        }
+        const { selector, attribute } = parseField(spec);
+        if (selector) checkSelector(selector, `extract.fields.${field}`, errors);
+        if (!selector && !attribute) errors.push(`extract.fields.${field} must be a CSS selector`);
+      });
+    }
+  }
+
+  if (type === 'feed' && extract.maxAgeDays !== undefined && !(extract.maxAgeDays > 0)) {
+    errors.push('extract.maxAgeDays must be a positive number of days');
+  }
+  return type;
+};
+
+// Every problem with a definition, as readable messages; [] when it is valid
+const validateSourceDefinition = (definition) => {
+  const errors = [];
+  if (!isObject(definition)) return ['a source definition must be an object'];
+  unknownKeys(definition, SOURCE_KEYS, '', errors);
+
+  if (typeof definition.id !== 'string' || !/^[a-z0-9-]+$/.test(definition.id)) {
+    errors.push('id must be lower-case letters, digits and dashes');
+  }
+  if (definition.name !== undefined && typeof definition.name !== 'string') {
+    errors.push('name must be a string');
+  }
+  if (!Array.isArray(definition.urls) || definition.urls.length === 0) {
+    errors.push('urls must list at least one page');
+  } else {
+    definition.urls.forEach(url => {
+      if (typeof url !== 'string' || !/^https?:\/\//.test(url) || !URL.canParse(url)) {
+        errors.push(`urls: "${url}" is not an http(s) URL`);
+      }
+    });
+  }
+  if (definition.fetcher !== undefined && !getFetcherNames().includes(definition.fetcher)) {
+    errors.push(`fetcher "${definition.fetcher}" must be one of: ${getFetcherNames().join(', ')}`);
+  }
+  if (definition.fetchOptions !== undefined && !isObject(definition.fetchOptions)) {
+    errors.push('fetchOptions must be an object');
+  }
+  if (definition.schedule !== undefined) {
+    try {
+      parseCron(definition.schedule);
+    } catch (error) {
+      errors.push(`schedule: ${error.message}`);
+    }
+  }
+  validateAgency(definition.agency, errors);
+
+  const type = definition.extract === undefined ? 'auto' : validateExtract(definition.extract, errors);
+  if (type === 'feed' && definition.fetcher !== undefined && definition.fetcher !== 'http') {
+    errors.push('feed sources are always fetched over http; remove fetcher');
+  }
+
+  if (definition.dateFormats !== undefined) {
+    if (!isStringList(definition.dateFormats)) {
+      errors.push('dateFormats must be a list of date-fns formats such as "dd/MM/yyyy"');
+    } else {
+      if (type !== 'table' && type !== 'list') {
+        errors.push('dateFormats only apply to extract.type table or list');
+      }
+      definition.dateFormats.forEach(dateFormat => {
+        try {
+          format(new Date(2025, 0, 31), dateFormat);
+        } catch (error) {
+          errors.push(`dateFormats: "${dateFormat}" is not a valid format (${error.message.split(';')[0]})`);
+        }
+      });
+    }
+  }
+
+  if (definition.links !== undefined) {
+    if (!isObject(definition.links)) {
+      errors.push('links must be an object with include, exclude or sameHost');
+    } else {
+      unknownKeys(definition.links, LINK_KEYS, 'links.', errors);
+      ['include', 'exclude'].forEach(key => {
+        if (definition.links[key] !== undefined && !isStringList(definition.links[key])) {
+          errors.push(`links.${key} must be a list of keywords`);
+        }
+      });
+      if (definition.links.sameHost !== undefined && typeof definition.links.sameHost !== 'boolean') {
+        errors.push('links.sameHost must be true or false');
+      }
+      if (definition.links.sameHost !== undefined && type !== 'auto') {
+        errors.push('links.sameHost only applies to extract.type auto');
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Proposal agency for the markdown path and for table rows / list items,
+// which pass the text of their agency column first
+const agencyResolvers = (agency) => {
+  if (typeof agency === 'string') {
+    return { resolveAgency: () => agency, resolveTableAgency: () => agency };
+  }
+  if (isObject(agency)) {
+    const resolve = createAgencyResolver(agency);
+    return {
+      resolveAgency: resolve,
+      // The agency column is authoritative; fall back to the row text when it is empty
+      resolveTableAgency: (agencyCell, title, { row }) => agencyCell || resolve(row.join(' | '), title)
+    };
+  }
+  return {
+    resolveAgency: () => 'Unknown Agency',
+    resolveTableAgency: (agencyCell) => agencyCell || 'Unknown Agency'
+  };
+};
+
+const matchesKeywords = (value, keywords) =>
+  keywords.some(keyword => value.toLowerCase().includes(keyword.toLowerCase()));
+
+const filterLinks = (proposals, { include = [], exclude = [] }) => proposals.filter(({ title, link }) => {
+  const haystack = `${title} ${link}`;
+  if (include.length > 0 && !matchesKeywords(haystack, include)) return false;
+  return !(exclude.length > 0 && matchesKeywords(haystack, exclude));
+});
+
+const createExtractor = (definition) => {
+  const spec = { type: 'auto', ...definition.extract };
+  const links = definition.links || {};
+  const { resolveAgency, resolveTableAgency } = agencyResolvers(definition.agency);
+
+  if (spec.type === 'feed') {
+    return (page) => extractProposalsFromFeed(page.html || page.markdown, page.url, {
+      agency: typeof definition.agency === 'string' ? definition.agency : 'Unknown Agency',
+      include: links.include,
+      exclude: links.exclude,
+      maxAgeDays: spec.maxAgeDays,
+      pageDate: page.fetchedAt
+    });
+  }
+
+  if (spec.type === 'auto') {
+    return (page) => filterLinks(
+      extractProposals(page, { resolveAgency, resolveTableAgency, allowSameHost: links.sameHost }),
+      links
+    );
+  }
+
+  return (page) => {
+    const proposals = extractWithSelectors(page, spec, {
+      resolveAgency: resolveTableAgency,
+      dateFormats: definition.dateFormats
+    });
+    return filterLinks(spec.classify === false ? proposals : proposals.filter(isTableProposal), links);
+  };
+};
+
+// Source adapter for a definition; throws listing every problem when it is invalid
+const createConfigSource = (definition, { file } = {}) => {
+  const errors = validateSourceDefinition(definition);
+  if (errors.length > 0) {
+    const label = (isObject(definition) && definition.id) || 'source';
+    const error = new Error(`${file || label}: invalid source definition\n  - ${errors.join('\n  - ')}`);
+    error.code = 'INVALID_SOURCE_DEFINITION';
+    error.errors = errors;
+    throw error;
+  }
+
+  const agency = typeof definition.agency === 'string' ? definition.agency : null;
+  const isFeed = definition.extract && definition.extract.type === 'feed';
+  return {
+    id: definition.id,
+    agency,
+    name: definition.name || agency || definition.id.toUpperCase(),
+    urls: definition.urls,
+    fetcher: isFeed ? 'http' : definition.fetcher,
+    fetchOptions: definition.fetchOptions,
+    schedule: definition.schedule,
+    configFile: file || null,
+    extract: createExtractor(definition)
+  };
+};
+
+module.exports = {
+  validateSourceDefinition,
+  createConfigSource
+};
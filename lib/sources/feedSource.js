@@ -0,0 +1,28 @@
+const { extractProposalsFromFeed } = require('../extract/feed');
+
+// Factory for RSS 2.0, Atom and sitemap.xml sources. Feeds are plain XML, so
+// they are always fetched over HTTP; the classifier decides which entries are
+// calls, so a new feed needs no extraction code of its own.
+const createFeedSource = ({ id, agency, name, urls, schedule, include = [], exclude = [], maxAgeDays }) => {
+  if (typeof id !== 'string' || !/^[a-z0-9-]+$/.test(id)) {
+    throw new Error(`Feed source id "${id}" must be lower-case letters, digits and dashes`);
+  }
+  return {
+    id,
+    agency: agency || null,
+    name: name || agency || id,
+    urls,
+    fetcher: 'http',
+    schedule,
+    extract: (page) =>
+      extractProposalsFromFeed(page.html || page.markdown, page.url, {
+        agency: agency || 'Unknown Agency',
+        include,
+        exclude,
+        maxAgeDays,
+        pageDate: page.fetchedAt
+      })
+  };
+};
+
+module.exports = { createFeedSource };
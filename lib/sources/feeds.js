@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const { registerSource } = require('./registry');
+const { createFeedSource } = require('./feedSource');
+
+// Feed based sources are configuration, not code: every entry in
+// config/feeds.json (or the file named by FEEDS_CONFIG) becomes an adapter.
+//   { "id": "nsf", "agency": "NSF", "name": "...", "urls": ["https://.../rss.xml"],
+//     "include": ["funding"], "exclude": ["webinar"], "maxAgeDays": 180,
+//     "schedule": "0 7 * * 1" }
+// urls may point at RSS 2.0, Atom or sitemap.xml documents; include/exclude
+// are plain keywords matched against each entry's title and link.
+// A definition in config/sources with `extract: { type: feed }` works too.
+// fixtures/feeds holds sample RSS, Atom and sitemap documents with their own
+// config; `npm run scrape:replay:feeds` runs them through the scraper offline.
+const DEFAULT_FEEDS_CONFIG = path.join(__dirname, '..', '..', 'config', 'feeds.json');
+
+const loadFeedConfig = (file = process.env.FEEDS_CONFIG || DEFAULT_FEEDS_CONFIG) => {
+  if (!fs.existsSync(file)) return [];
+  const definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(definitions)) {
+    throw new Error(`${file} must contain an array of feed sources`);
+  }
+  return definitions;
+};
+
+const FEED_SOURCES = loadFeedConfig();
+
+FEED_SOURCES.forEach(definition => registerSource(createFeedSource(definition)));
+
+module.exports = { FEED_SOURCES, loadFeedConfig };
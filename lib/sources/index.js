@@ -0,0 +1,8 @@
+// Loading these modules registers their adapters. Most sources are plain
+// definitions in config/sources (see ./config.js); adapters that need code of
+// their own only need to be required here, the scrape loop picks them up from
+// the registry.
+require('./config');
+require('./feeds');
+
+module.exports = require('./registry');
@@ -0,0 +1,86 @@
+// Source adapter registry. Every scrape target is an adapter that declares
+// (most are built from config/sources definitions, see ./configSource.js):
+//   id            unique key, used in logs and CLI filters (e.g. 'dst')
+//   agency        agency code it publishes for, or null for aggregators
+//   name          human readable name
+//   urls          pages to fetch
+//   fetcher       fetch backend name ('firecrawl', 'puppeteer' or 'http')
+//   fetchOptions  options passed to the fetch backend
+//   schedule      cron expression in IST for the scheduler (default SCRAPE_SCHEDULE)
+//   extract(page) returns proposals for one fetched page ({ url, markdown, html,
+//                 fetchedAt }); for feed sources `html` is the raw XML (see
+//                 ./feeds.js). Dates are read relative to fetchedAt.
+const { parseCron } = require('../cron');
+
+const sources = new Map();
+
+const DEFAULT_FETCH_OPTIONS = {
+  formats: ['markdown', 'html'],
+  onlyMainContent: true,
+  timeout: 30000,
+  waitFor: 3000,
+  skipTlsVerification: true
+};
+
+const registerSource = (adapter) => {
+  if (!adapter || typeof adapter.id !== 'string' || !adapter.id) {
+    throw new Error('Source adapter must have an id');
+  }
+  if (sources.has(adapter.id)) {
+    throw new Error(`Source adapter "${adapter.id}" is already registered`);
+  }
+  if (!Array.isArray(adapter.urls) || adapter.urls.length === 0) {
+    throw new Error(`Source adapter "${adapter.id}" must declare at least one URL`);
+  }
+  if (typeof adapter.extract !== 'function') {
+    throw new Error(`Source adapter "${adapter.id}" must provide an extract() function`);
+  }
+  if (adapter.schedule) {
+    parseCron(adapter.schedule); // fail at startup rather than at the first tick
+  }
+
+  const source = {
+    agency: null,
+    name: adapter.id.toUpperCase(),
+    ...adapter,
+    fetcher: adapter.fetcher || 'firecrawl',
+    schedule: adapter.schedule || null,
+    fetchOptions: { ...DEFAULT_FETCH_OPTIONS, ...adapter.fetchOptions }
+  };
+  sources.set(source.id, source);
+  return source;
+};
+
+const getSources = (ids) => {
+  const all = Array.from(sources.values());
+  if (!ids || ids.length === 0) return all;
+
+  const wanted = ids.map(id => id.toLowerCase());
+  const unknown = wanted.filter(id => !sources.has(id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown source(s): ${unknown.join(', ')}`);
+  }
+  return all.filter(source => wanted.includes(source.id));
+};
+
+const getSource = (id) => sources.get(id) || null;
+
+// Source ids from one comma separated list (--sources dst,vit, ?sources=dst,vit).
+// A repeated query parameter arrives as an array and is rejected.
+const parseSourceIds = (value) => {
+  if (value === undefined || value === null) return [];
+  if (typeof value !== 'string') {
+    const error = new Error('sources must be one comma separated list, e.g. sources=dst,vit');
+    error.code = 'INVALID_SOURCES';
+    throw error;
+  }
+  return value.split(',').map(id => id.trim()).filter(Boolean);
+};
+
+module.exports = {
+  DEFAULT_FETCH_OPTIONS,
+  registerSource,
+  getSources,
+  getSource,
+  parseSourceIds
+};
@@ -1,6 +1,6 @@
 const FirecrawlApp = require('@mendable/firecrawl-js').default;
 const fs = require('fs');
-const { JSDOM } = require('jsdom');
+const { extractProposalsFromHtml } = require('./lib/extract/table');
 
 // Initialize FireCrawl with your key
 const app = new FirecrawlApp({
@@ -30,12 +30,12 @@ async function scrapeVit() {
     if (!html) throw new Error('No usable HTML returned');
 
     fs.writeFileSync('debug-vit.html', html);
-    const dom = new JSDOM(html);
-    const doc = dom.window.document;
 
-    // Now you can safely run your parsing logic here...
+    // Parse the call tables row by row
+    const proposals = extractProposalsFromHtml(html, 'https://vit.ac.in/research/call-for-proposals');
+    proposals.forEach(p => console.log(`- ${p.title} (${p.agency}) → ${p.endDate}`));
 
-    console.log('✅ Scrape succeeded and HTML saved.');
+    console.log(`✅ Scrape succeeded, HTML saved and ${proposals.length} proposals parsed.`);
 
   } catch (err) {
     console.error('❌ Critical Error:', err);